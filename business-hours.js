@@ -0,0 +1,291 @@
+/**
+ * business-hours.js
+ *
+ * Per-team business-hours windows and holiday calendars. During staffed
+ * hours a team's calls go to its desk (a queue number or a daytime schedule)
+ * instead of the on-call rotation.
+ *
+ * Holiday calendars are ICS or JSON files. They are cached and re-read when
+ * the file's modification time changes.
+ */
+
+import fs from "fs";
+import path from "path";
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import timezone from "dayjs/plugin/timezone.js";
+import config from "./config.js";
+import dashboard from "./console-dashboard.js";
+import phoneNumbers from "./phone-number.js";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// Window boundaries are 24-hour "HH:mm" (24:00 allowed as an end of day)
+const TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+// Parsed holiday calendars keyed by absolute path
+const calendarCache = new Map();
+
+/**
+ * Convert "HH:mm" to minutes after midnight
+ *
+ * @param {string} time - Time of day
+ * @returns {number} Minutes after midnight
+ */
+function toMinutes(time) {
+  const [hours, minutes = "0"] = String(time).split(":");
+  return parseInt(hours, 10) * 60 + parseInt(minutes, 10);
+}
+
+/**
+ * Expand a day list such as ["mon-fri", "sat"] into day indexes
+ *
+ * @param {Array<string>|string} days - Day names or ranges
+ * @returns {Set<number>} Day indexes (0 = Sunday)
+ */
+function expandDays(days) {
+  const result = new Set();
+  [].concat(days || []).forEach((entry) => {
+    const [from, to] = String(entry).toLowerCase().split("-");
+    const start = DAY_NAMES.indexOf(from.substring(0, 3));
+    const end = to ? DAY_NAMES.indexOf(to.substring(0, 3)) : start;
+    if (start < 0 || end < 0) {
+      throw new Error(`Invalid business-hours day "${entry}"`);
+    }
+    for (let day = start; ; day = (day + 1) % 7) {
+      result.add(day);
+      if (day === end) break;
+    }
+  });
+  return result;
+}
+
+/**
+ * Parse an ICS calendar into holiday date strings
+ * Only DTSTART/DTEND/SUMMARY of each VEVENT are used; all-day events cover
+ * every date up to (not including) DTEND.
+ *
+ * @param {string} text - ICS file contents
+ * @returns {Array<{date: string, name: string|null}>} Holidays
+ */
+function parseIcs(text) {
+  // Unfold continuation lines (RFC 5545 section 3.1)
+  const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const holidays = [];
+  let event = null;
+
+  const toDate = (value) => {
+    const match = value.match(/(\d{4})(\d{2})(\d{2})/);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+  };
+
+  lines.forEach((line) => {
+    if (line === "BEGIN:VEVENT") {
+      event = {};
+    } else if (line === "END:VEVENT" && event) {
+      if (event.start) {
+        let day = dayjs(event.start);
+        const end = event.end ? dayjs(event.end) : day.add(1, "day");
+        do {
+          holidays.push({ date: day.format("YYYY-MM-DD"), name: event.name });
+          day = day.add(1, "day");
+        } while (day.isBefore(end));
+      }
+      event = null;
+    } else if (event) {
+      const separator = line.indexOf(":");
+      const key = line.substring(0, separator).split(";")[0];
+      const value = line.substring(separator + 1);
+      if (key === "DTSTART") event.start = toDate(value);
+      if (key === "DTEND") event.end = toDate(value);
+      if (key === "SUMMARY") event.name = value || null;
+    }
+  });
+
+  return holidays;
+}
+
+/**
+ * Parse a JSON holiday calendar
+ * Accepts ["2026-12-25", ...], [{ "date": "2026-12-25", "name": "..." }] or
+ * either of those under a top-level "holidays" key.
+ *
+ * @param {string} text - JSON file contents
+ * @returns {Array<{date: string, name: string|null}>} Holidays
+ */
+function parseJsonCalendar(text) {
+  const document = JSON.parse(text);
+  const entries = Array.isArray(document) ? document : document.holidays || [];
+  return entries.map((entry) =>
+    typeof entry === "string"
+      ? { date: entry, name: null }
+      : { date: entry.date, name: entry.name || null }
+  );
+}
+
+/**
+ * Load a holiday calendar, re-reading it when the file changes
+ *
+ * @param {string} filePath - ICS or JSON calendar file
+ * @returns {Map<string, string|null>} Holiday names keyed by YYYY-MM-DD
+ */
+function loadCalendar(filePath) {
+  const absolutePath = path.resolve(filePath);
+
+  try {
+    const { mtimeMs } = fs.statSync(absolutePath);
+    const cached = calendarCache.get(absolutePath);
+    if (cached && cached.mtimeMs === mtimeMs) {
+      return cached.holidays;
+    }
+
+    const text = fs.readFileSync(absolutePath, "utf8");
+    const entries =
+      path.extname(absolutePath).toLowerCase() === ".ics"
+        ? parseIcs(text)
+        : parseJsonCalendar(text);
+    const holidays = new Map(entries.map((e) => [e.date, e.name]));
+
+    calendarCache.set(absolutePath, { mtimeMs, holidays });
+    dashboard.logger.info(`Loaded holiday calendar`, {
+      file: absolutePath,
+      holidays: holidays.size,
+    });
+    return holidays;
+  } catch (error) {
+    dashboard.logger.error(`Failed to load holiday calendar`, {
+      file: absolutePath,
+      error: error.message,
+    });
+    // Keep using the last good copy if there is one
+    return calendarCache.get(absolutePath)?.holidays || new Map();
+  }
+}
+
+/**
+ * Check whether a timezone name is known to the runtime
+ *
+ * @param {string} timeZone - IANA timezone name
+ * @returns {boolean} True if the timezone can be used
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validate a team's "businessHours" options
+ *
+ * @param {string} slug - Endpoint slug (for error messages)
+ * @param {Object} businessHours - Team "businessHours" options
+ * @throws {Error} If the options are incomplete or malformed
+ */
+function validate(slug, businessHours) {
+  if (typeof businessHours !== "object" || businessHours === null) {
+    throw new Error(`Team "${slug}" businessHours must be an object`);
+  }
+  if (!Array.isArray(businessHours.windows) || !businessHours.windows.length) {
+    throw new Error(`Team "${slug}" businessHours needs at least one window`);
+  }
+  businessHours.windows.forEach((window) => {
+    expandDays(window.days);
+    [window.start, window.end].forEach((time) => {
+      if (!TIME_PATTERN.test(String(time))) {
+        throw new Error(
+          `Team "${slug}" business-hours time "${time}" must be HH:mm`
+        );
+      }
+    });
+  });
+  if (
+    !businessHours.phoneNumber &&
+    !businessHours.schedule &&
+    !businessHours.scheduleId
+  ) {
+    throw new Error(
+      `Team "${slug}" businessHours needs a "phoneNumber", "schedule" or "scheduleId"`
+    );
+  }
+  if (
+    businessHours.phoneNumber &&
+    !phoneNumbers.isValidPhoneNumber(businessHours.phoneNumber)
+  ) {
+    throw new Error(
+      `Team "${slug}" businessHours phoneNumber "${businessHours.phoneNumber}" is not a valid phone number`
+    );
+  }
+  if (businessHours.timezone && !isValidTimeZone(businessHours.timezone)) {
+    throw new Error(
+      `Team "${slug}" has unknown timezone "${businessHours.timezone}"`
+    );
+  }
+}
+
+/**
+ * Check whether a team is inside its business hours
+ *
+ * @param {Object} businessHours - Team "businessHours" options
+ * @param {Array<Object>} businessHours.windows - [{ days, start, end }]
+ * @param {string} [businessHours.timezone] - Timezone of the windows
+ * @param {string} [businessHours.holidayCalendar] - ICS or JSON file
+ * @param {string|Date|null} [at] - Point in time (defaults to now)
+ * @returns {{inHours: boolean, reason: string, localTime: string}} Result
+ */
+function checkBusinessHours(businessHours, at = null) {
+  const timeZone = businessHours.timezone || config.businessHours.timeZone;
+  const local = (at ? dayjs(at) : dayjs()).tz(timeZone);
+  const localTime = local.format();
+
+  const calendarFile =
+    businessHours.holidayCalendar || config.businessHours.holidayCalendar;
+  if (calendarFile) {
+    const holidays = loadCalendar(calendarFile);
+    const date = local.format("YYYY-MM-DD");
+    if (holidays.has(date)) {
+      return {
+        inHours: false,
+        reason: `holiday${holidays.get(date) ? `: ${holidays.get(date)}` : ""}`,
+        localTime,
+      };
+    }
+  }
+
+  const day = local.day();
+  const previousDay = (day + 6) % 7;
+  const minutes = local.hour() * 60 + local.minute();
+
+  const inWindow = (businessHours.windows || []).some((window) => {
+    const days = expandDays(window.days);
+    const start = toMinutes(window.start);
+    const end = toMinutes(window.end);
+
+    if (start < end) {
+      return days.has(day) && minutes >= start && minutes < end;
+    }
+    // Window crosses midnight; "days" names the day it starts on
+    return (
+      (days.has(day) && minutes >= start) ||
+      (days.has(previousDay) && minutes < end)
+    );
+  });
+
+  return {
+    inHours: inWindow,
+    reason: inWindow ? "business hours" : "outside business hours",
+    localTime,
+  };
+}
+
+export default {
+  isValidTimeZone,
+  validate,
+  checkBusinessHours,
+  loadCalendar,
+};
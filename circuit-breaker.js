@@ -0,0 +1,188 @@
+/**
+ * circuit-breaker.js
+ *
+ * Circuit breakers for upstream dependencies (Jira, SQL Server). After a run
+ * of consecutive failures a circuit opens and calls fail immediately instead
+ * of waiting for network timeouts, so lookups fall through to last known good
+ * answers or fallback numbers straight away. Once the open period has passed
+ * the circuit is half-open: a single trial call is let through, and its
+ * outcome closes the circuit again or re-opens it.
+ */
+
+import dashboard from "./console-dashboard.js";
+
+// Every breaker by name, for /health and the dashboard
+const breakers = new Map();
+
+/**
+ * Create a circuit breaker
+ *
+ * @param {string} name - Dependency name (for logs, /health and dashboard)
+ * @param {Object} options - Breaker settings
+ * @param {number} options.failureThreshold - Consecutive failures that open
+ *        the circuit
+ * @param {number} options.openMs - How long the circuit stays open before a
+ *        trial call is allowed
+ * @param {function(Error): boolean} [options.isFailure] - Whether an error
+ *        counts against the dependency (defaults to every error)
+ * @returns {{run: Function, getStatus: Function}} Breaker
+ */
+function create(name, options) {
+  const isFailure = options.isFailure || (() => true);
+  const state = {
+    status: "closed",
+    failures: 0,
+    openedAt: null,
+    trialInFlight: false,
+    rejected: 0,
+    lastError: null,
+    changedAt: new Date().toISOString(),
+  };
+
+  /**
+   * Move the circuit to a new state and report the change
+   *
+   * @param {string} status - "closed", "open" or "half-open"
+   */
+  function transition(status) {
+    state.status = status;
+    state.changedAt = new Date().toISOString();
+    publishStates();
+  }
+
+  /**
+   * Record a failed call
+   *
+   * @param {Error} error - Why the call failed
+   * @param {string} requestId - Request ID for logging
+   */
+  function recordFailure(error, requestId) {
+    state.failures++;
+    state.lastError = error.message;
+
+    if (
+      state.status === "half-open" ||
+      state.failures >= options.failureThreshold
+    ) {
+      state.openedAt = Date.now();
+      transition("open");
+      dashboard.logger.error(`${name} circuit opened`, {
+        requestId,
+        failures: state.failures,
+        retryInSeconds: Math.round(options.openMs / 1000),
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Record a successful call (or one the dependency answered)
+   *
+   * @param {string} requestId - Request ID for logging
+   */
+  function recordSuccess(requestId) {
+    state.failures = 0;
+    if (state.status !== "closed") {
+      state.openedAt = null;
+      transition("closed");
+      dashboard.logger.success(`${name} circuit closed`, { requestId });
+    }
+  }
+
+  /**
+   * Run a call through the breaker
+   * While the circuit is open the call is not made and an error with code
+   * `CIRCUIT_OPEN` is thrown instead.
+   *
+   * @param {string} requestId - Request ID for logging
+   * @param {function(): Promise<*>} fn - Call to the dependency
+   * @returns {Promise<*>} Result of the call
+   */
+  async function run(requestId, fn) {
+    if (
+      state.status === "open" &&
+      Date.now() - state.openedAt >= options.openMs
+    ) {
+      transition("half-open");
+      dashboard.logger.info(`${name} circuit half-open, trying one call`, {
+        requestId,
+      });
+    }
+
+    const trial = state.status === "half-open";
+    if (state.status === "open" || (trial && state.trialInFlight)) {
+      state.rejected++;
+      const error = new Error(`${name} circuit is open`);
+      error.code = "CIRCUIT_OPEN";
+      throw error;
+    }
+
+    if (trial) state.trialInFlight = true;
+    try {
+      const result = await fn();
+      recordSuccess(requestId);
+      return result;
+    } catch (error) {
+      if (isFailure(error)) {
+        recordFailure(error, requestId);
+      } else {
+        recordSuccess(requestId);
+      }
+      throw error;
+    } finally {
+      if (trial) state.trialInFlight = false;
+    }
+  }
+
+  /**
+   * Get the breaker's current state
+   *
+   * @returns {Object} state, failures, rejected calls, last error and when
+   *          the circuit will allow a trial call
+   */
+  function getStatus() {
+    return {
+      state: state.status,
+      consecutiveFailures: state.failures,
+      failureThreshold: options.failureThreshold,
+      rejected: state.rejected,
+      lastError: state.lastError,
+      changedAt: state.changedAt,
+      retryAt:
+        state.status === "open"
+          ? new Date(state.openedAt + options.openMs).toISOString()
+          : null,
+    };
+  }
+
+  const breaker = { run, getStatus };
+  breakers.set(name, breaker);
+  publishStates();
+  return breaker;
+}
+
+/**
+ * Get the state of every circuit breaker
+ *
+ * @returns {Object} Status per breaker name
+ */
+function getStatuses() {
+  return Object.fromEntries(
+    [...breakers.entries()].map(([name, breaker]) => [
+      name,
+      breaker.getStatus(),
+    ])
+  );
+}
+
+/**
+ * Push the breaker states to the dashboard
+ */
+function publishStates() {
+  dashboard.setCircuitStates(getStatuses());
+}
+
+export default {
+  create,
+  getStatuses,
+};
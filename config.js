@@ -16,9 +16,126 @@ config.server.url =
 config.jira = {};
 config.jira.username = process.env.JIRA_USERNAME;
 config.jira.apiToken = process.env.JIRA_API_TOKEN;
+// Authentication: "basic" (username + API token) or "oauth" (OAuth 2.0 bearer
+// tokens). Secrets can be read from files (e.g. mounted secrets) instead of
+// the environment; files are re-read on SIGHUP and after a 401.
+config.jira.authMode = (process.env.JIRA_AUTH_MODE || "basic").toLowerCase();
+config.jira.usernameFile = process.env.JIRA_USERNAME_FILE;
+config.jira.apiTokenFile = process.env.JIRA_API_TOKEN_FILE;
+config.jira.oauth = {};
+config.jira.oauth.tokenUrl =
+  process.env.JIRA_OAUTH_TOKEN_URL || "https://auth.atlassian.com/oauth/token";
+config.jira.oauth.clientId = process.env.JIRA_OAUTH_CLIENT_ID;
+config.jira.oauth.clientSecret = process.env.JIRA_OAUTH_CLIENT_SECRET;
+config.jira.oauth.clientSecretFile = process.env.JIRA_OAUTH_CLIENT_SECRET_FILE;
+// With a refresh token the 3LO refresh_token grant is used, otherwise
+// client_credentials
+config.jira.oauth.refreshToken = process.env.JIRA_OAUTH_REFRESH_TOKEN;
+config.jira.oauth.refreshTokenFile = process.env.JIRA_OAUTH_REFRESH_TOKEN_FILE;
 config.jira.cloudId = process.env.JIRA_CLOUD_ID;
 config.jira.hostUrl = process.env.JIRA_HOST_URL;
 config.jira.basePath = process.env.JIRA_BASE_PATH;
+// Jira site for the platform user API (e.g. your-domain.atlassian.net)
+config.jira.domain = process.env.JIRA_DOMAIN;
+// Per-call timeout and retry policy for all Jira requests
+config.jira.timeoutMs = parseInt(process.env.JIRA_TIMEOUT_MS || "10000");
+config.jira.maxRetries = parseInt(process.env.JIRA_MAX_RETRIES || "3");
+// Total time a live lookup's Jira call may take across all attempts (0 = no
+// limit); background refreshes always get the full retry policy
+config.jira.liveDeadlineMs = parseInt(
+  process.env.JIRA_LIVE_DEADLINE_MS || "4000"
+);
+config.jira.retryBaseDelayMs = parseInt(
+  process.env.JIRA_RETRY_BASE_DELAY_MS || "500"
+);
+config.jira.retryMaxDelayMs = 10 * 1000;
+// Longest Retry-After (429) the client will wait before giving up
+config.jira.maxRetryAfterMs = parseInt(
+  process.env.JIRA_MAX_RETRY_AFTER_MS || "30000"
+);
+
+// Team registry configuration (endpoint slug -> Jira schedule mapping)
+config.teams = {};
+config.teams.registryFile = process.env.TEAM_REGISTRY_FILE || "teams.json";
+// Minimum fuzzy score (0-1) for a schedule name to match a team
+config.teams.matchThreshold = parseFloat(
+  process.env.SCHEDULE_MATCH_THRESHOLD || "0.6"
+);
+
+// On-call provider: "jsm" (Jira Service Management) or "file" (rotations in
+// a local YAML/JSON file). Teams can pick their own with "provider".
+config.oncall = {};
+config.oncall.provider = (process.env.ONCALL_PROVIDER || "jsm").toLowerCase();
+config.oncall.file = process.env.ONCALL_FILE || "oncall.yaml";
+
+// Local on-call overrides (take precedence over Jira schedules)
+config.overrides = {};
+config.overrides.file = process.env.OVERRIDES_FILE || "overrides.json";
+
+// Business hours (per-team windows are set in the team registry)
+config.businessHours = {};
+// Timezone for business-hours windows when a team does not set one
+config.businessHours.timeZone = process.env.TIME_ZONE || "America/Chicago";
+// Holiday calendar (ICS or JSON) used by teams without their own
+config.businessHours.holidayCalendar = process.env.HOLIDAY_CALENDAR_FILE;
+
+// On-call result cache: answers are kept until the current shift ends, but
+// never longer than this
+config.cache = {};
+config.cache.onCallMaxTtlMs =
+  parseInt(process.env.ONCALL_CACHE_MAX_TTL_SECONDS || "900") * 1000;
+// Jira accountId -> user cache (least recently used entries are evicted)
+config.cache.userTtlMs =
+  parseInt(process.env.USER_CACHE_TTL_SECONDS || "3600") * 1000;
+config.cache.userMaxEntries = parseInt(
+  process.env.USER_CACHE_MAX_ENTRIES || "500"
+);
+
+// Last-known-good answers served while Jira lookups fail
+config.lastKnownGood = {};
+config.lastKnownGood.maxStalenessMs =
+  parseInt(process.env.LKG_MAX_STALENESS_SECONDS || "14400") * 1000;
+config.lastKnownGood.refreshIntervalMs =
+  parseInt(process.env.LKG_REFRESH_INTERVAL_SECONDS || "30") * 1000;
+// Snapshot file that keeps last-known-good answers across restarts
+config.lastKnownGood.snapshotFile =
+  process.env.SNAPSHOT_FILE || "oncall-snapshots.json";
+
+// Background refresh of every team's on-call answer (0 disables)
+config.prewarm = {};
+config.prewarm.intervalMs =
+  parseInt(process.env.PREWARM_INTERVAL_SECONDS || "240") * 1000;
+// How long before a hand-off the incoming person is looked up
+config.prewarm.handoffLeadMs =
+  parseInt(process.env.PREWARM_HANDOFF_LEAD_SECONDS || "60") * 1000;
+
+// Timeline requests allowed per caller and minute (0 disables the limit);
+// each one can cost many Jira requests
+config.timeline = {};
+config.timeline.rateLimitPerMinute = parseInt(
+  process.env.TIMELINE_RATE_LIMIT_PER_MINUTE || "10"
+);
+
+// Circuit breakers: consecutive failures that open a dependency's circuit,
+// and how long it stays open before a trial call is let through
+config.circuitBreakers = {};
+config.circuitBreakers.jira = {
+  failureThreshold: parseInt(process.env.JIRA_CIRCUIT_FAILURE_THRESHOLD || "5"),
+  openMs: parseInt(process.env.JIRA_CIRCUIT_OPEN_SECONDS || "30") * 1000,
+};
+config.circuitBreakers.sql = {
+  failureThreshold: parseInt(process.env.SQL_CIRCUIT_FAILURE_THRESHOLD || "3"),
+  openMs: parseInt(process.env.SQL_CIRCUIT_OPEN_SECONDS || "30") * 1000,
+};
+
+// Admin API configuration (disabled unless a token is set)
+config.admin = {};
+config.admin.apiToken = process.env.ADMIN_API_TOKEN;
+
+// Jira webhook receiver (disabled unless a secret is set). The secret is
+// checked as an HMAC signature of the body or as a shared secret header.
+config.webhooks = {};
+config.webhooks.secret = process.env.JIRA_WEBHOOK_SECRET;
 
 // SQL Database configuration
 config.sql = {};
@@ -59,6 +176,11 @@ config.fallback.tempFile = process.env.TEMP_FILE || "phone-list.csv";
 // Default phone number for test endpoint or fallback
 config.defaultPhoneNumber = process.env.DEFAULT_PHONE_NUMBER || "15555555555";
 
+// CCX mode: failed team lookups return 200 with a fallback number instead of
+// a JSON error. Teams can override this with "ccxMode" in the registry.
+config.ccx = {};
+config.ccx.defaultMode = process.env.CCX_MODE === "true";
+
 function checkSqlConfig(requiredVars) {
   // Common SQL variables required regardless of auth mode
   requiredVars.push(
@@ -88,6 +210,32 @@ function checkSqlConfig(requiredVars) {
   }
 }
 
+function checkJiraAuthConfig(requiredVars) {
+  if (config.jira.authMode === "basic") {
+    if (!config.jira.usernameFile) {
+      requiredVars.push({ path: "jira.username", name: "JIRA_USERNAME" });
+    }
+    if (!config.jira.apiTokenFile) {
+      requiredVars.push({ path: "jira.apiToken", name: "JIRA_API_TOKEN" });
+    }
+  } else if (config.jira.authMode === "oauth") {
+    requiredVars.push({
+      path: "jira.oauth.clientId",
+      name: "JIRA_OAUTH_CLIENT_ID",
+    });
+    if (!config.jira.oauth.clientSecretFile) {
+      requiredVars.push({
+        path: "jira.oauth.clientSecret",
+        name: "JIRA_OAUTH_CLIENT_SECRET",
+      });
+    }
+  } else {
+    console.warn(
+      `WARNING: Invalid JIRA_AUTH_MODE '${config.jira.authMode}'. Valid values are 'basic' or 'oauth'.`
+    );
+  }
+}
+
 function checkTempFile() {
   if (!config.fallback.tempFile) {
     console.warn("WARNING: USE_TEMP_FILE=true but TEMP_FILE is not set.");
@@ -114,12 +262,11 @@ function checkTempFile() {
 function validateConfig() {
   // Always check Jira variables
   const requiredVars = [
-    { path: "jira.username", name: "JIRA_USERNAME" },
-    { path: "jira.apiToken", name: "JIRA_API_TOKEN" },
     { path: "jira.cloudId", name: "JIRA_CLOUD_ID" },
     { path: "jira.hostUrl", name: "JIRA_HOST_URL" },
     { path: "jira.basePath", name: "JIRA_BASE_PATH" },
   ];
+  checkJiraAuthConfig(requiredVars);
 
   if (!config.fallback.useTempFile) {
     checkSqlConfig(requiredVars);
@@ -150,6 +297,11 @@ function validateConfig() {
   }
 }
 
+function describeSecret(value, file) {
+  if (file) return "✓ (file)";
+  return value ? "✓" : "✗";
+}
+
 function printConfig() {
   console.log("---------------------------------------------");
   console.log("CURRENT CONFIGURATION:");
@@ -159,12 +311,38 @@ function printConfig() {
     url: config.server.url,
   });
 
+  // Show Jira credentials appropriate to the auth mode
+  const jiraAuth = { authMode: config.jira.authMode };
+  if (config.jira.authMode === "oauth") {
+    jiraAuth.clientId = config.jira.oauth.clientId ? "✓" : "✗";
+    jiraAuth.clientSecret = describeSecret(
+      config.jira.oauth.clientSecret,
+      config.jira.oauth.clientSecretFile
+    );
+    jiraAuth.grant =
+      config.jira.oauth.refreshToken || config.jira.oauth.refreshTokenFile
+        ? "refresh_token"
+        : "client_credentials";
+  } else {
+    jiraAuth.username = describeSecret(
+      config.jira.username,
+      config.jira.usernameFile
+    );
+    jiraAuth.apiToken = describeSecret(
+      config.jira.apiToken,
+      config.jira.apiTokenFile
+    );
+  }
+
   console.log("Jira:", {
-    username: config.jira.username ? "✓" : "✗",
-    apiToken: config.jira.apiToken ? "✓" : "✗",
+    ...jiraAuth,
     cloudId: config.jira.cloudId ? "✓" : "✗",
     hostUrl: config.jira.hostUrl ? "✓" : "✗",
     basePath: config.jira.basePath ? "✓" : "✗",
+    domain: config.jira.domain ? "✓" : "✗",
+    timeoutMs: config.jira.timeoutMs,
+    maxRetries: config.jira.maxRetries,
+    liveDeadlineMs: config.jira.liveDeadlineMs,
   });
 
   // Show SQL config appropriate to the auth mode
@@ -188,6 +366,68 @@ function printConfig() {
 
   console.log("SQL:", sqlConfig);
 
+  console.log("Teams:", {
+    registryFile: config.teams.registryFile,
+    matchThreshold: config.teams.matchThreshold,
+  });
+
+  console.log("Cache:", {
+    onCallMaxTtlSeconds: config.cache.onCallMaxTtlMs / 1000,
+    userTtlSeconds: config.cache.userTtlMs / 1000,
+    userMaxEntries: config.cache.userMaxEntries,
+  });
+
+  console.log("Last Known Good:", {
+    maxStalenessSeconds: config.lastKnownGood.maxStalenessMs / 1000,
+    refreshIntervalSeconds: config.lastKnownGood.refreshIntervalMs / 1000,
+    snapshotFile: config.lastKnownGood.snapshotFile,
+  });
+
+  console.log("Background Refresh:", {
+    intervalSeconds: config.prewarm.intervalMs / 1000 || "(disabled)",
+    handoffLeadSeconds: config.prewarm.handoffLeadMs / 1000,
+  });
+
+  console.log("Timeline:", {
+    rateLimitPerMinute: config.timeline.rateLimitPerMinute || "(unlimited)",
+  });
+
+  console.log("Circuit Breakers:", {
+    jira: `${config.circuitBreakers.jira.failureThreshold} failures, open ${
+      config.circuitBreakers.jira.openMs / 1000
+    }s`,
+    sql: `${config.circuitBreakers.sql.failureThreshold} failures, open ${
+      config.circuitBreakers.sql.openMs / 1000
+    }s`,
+  });
+
+  console.log("On-Call Provider:", {
+    provider: config.oncall.provider,
+    file: config.oncall.file,
+  });
+
+  console.log("Overrides:", {
+    file: config.overrides.file,
+  });
+
+  console.log("Business Hours:", {
+    timeZone: config.businessHours.timeZone,
+    holidayCalendar: config.businessHours.holidayCalendar || "(none)",
+  });
+
+  console.log("CCX:", {
+    defaultMode: config.ccx.defaultMode,
+    defaultPhoneNumber: config.defaultPhoneNumber ? "✓" : "✗",
+  });
+
+  console.log("Admin API:", {
+    apiToken: config.admin.apiToken ? "✓" : "✗ (admin endpoints disabled)",
+  });
+
+  console.log("Jira Webhooks:", {
+    secret: config.webhooks.secret ? "✓" : "✗ (webhook endpoint disabled)",
+  });
+
   console.log("Fallback:", {
     useTempFile: config.fallback.useTempFile,
     tempFile: config.fallback.tempFile,
@@ -22,17 +22,20 @@ const appState = {
     total: 0,
     success: 0,
     error: 0,
+    // Team counters are populated from the team registry via setTeams()
     teams: {
-      helpdesk: 0,
-      network: 0,
-      ibmi: 0,
-      windows: 0,
-      sql: 0,
-      sharepoint: 0,
       test: 0,
       health: 0,
     },
   },
+  // Local on-call overrides currently in effect (pushed by override-store.js)
+  activeOverrides: [],
+  // Jira user cache statistics (pushed by direct-client.js)
+  userCache: null,
+  // Background refresh status (pushed by prewarm.js)
+  refresh: null,
+  // Circuit breaker state per dependency (pushed by circuit-breaker.js)
+  circuits: {},
   lastError: null,
   errors: [],
   maxErrors: 10, // Maximum number of errors to track
@@ -120,12 +123,71 @@ function trackRequest(team, success = true) {
   }
 
   // Track team-specific request
-  const normTeam = team.toLowerCase().replace(/[^a-z0-9]/g, "");
+  const normTeam = team.toLowerCase().replace(/[^a-z0-9-]/g, "");
   if (appState.requests.teams[normTeam] !== undefined) {
     appState.requests.teams[normTeam]++;
   }
 }
 
+/**
+ * Replace the set of tracked team counters
+ * Counts for teams that remain registered are preserved; utility endpoints
+ * (test, health) are always tracked after the teams.
+ *
+ * @param {Array<string>} teamSlugs - Endpoint slugs from the team registry
+ */
+function setTeams(teamSlugs) {
+  const previous = appState.requests.teams;
+  const teams = {};
+
+  [...teamSlugs, "test", "health"].forEach((team) => {
+    teams[team] = previous[team] || 0;
+  });
+
+  appState.requests.teams = teams;
+  updateDashboard();
+}
+
+/**
+ * Replace the list of active on-call overrides shown on the dashboard
+ *
+ * @param {Array<Object>} overrides - Overrides currently in effect
+ */
+function setActiveOverrides(overrides) {
+  appState.activeOverrides = overrides;
+  updateDashboard();
+}
+
+/**
+ * Replace the Jira user cache statistics shown on the dashboard
+ * The dashboard picks them up on its next refresh.
+ *
+ * @param {Object} stats - Cache statistics (size, hits, misses, hitRate)
+ */
+function setUserCacheStats(stats) {
+  appState.userCache = stats;
+}
+
+/**
+ * Replace the background refresh status shown on the dashboard
+ *
+ * @param {Object} status - Status from prewarm.getStatus()
+ */
+function setRefreshStatus(status) {
+  appState.refresh = status;
+  updateDashboard();
+}
+
+/**
+ * Replace the circuit breaker states shown on the dashboard
+ *
+ * @param {Object} circuits - Status per breaker from circuitBreaker.getStatuses()
+ */
+function setCircuitStates(circuits) {
+  appState.circuits = circuits;
+  updateDashboard();
+}
+
 /**
  * Track an error
  * @param {string} message - Error message
@@ -343,6 +405,18 @@ function createDashboard() {
   serverInfo += `${colors.heading("CONN MODE")}:   ${colors.normal(
     process.env.SQL_AUTH_MODE || "sql"
   )}`;
+  // One line per dependency circuit breaker
+  const circuitColors = {
+    closed: colors.success,
+    "half-open": colors.warning,
+    open: colors.error,
+  };
+  Object.entries(appState.circuits).forEach(([name, circuit]) => {
+    const label = `${name.toUpperCase()} CIRCUIT`;
+    serverInfo += `\n${colors.heading(label)}:${" ".repeat(
+      Math.max(1, 12 - label.length)
+    )}${circuitColors[circuit.state](`● ${circuit.state.toUpperCase()}`)}`;
+  });
 
   // Stats content
   const rateColor = successRate >= 95 ? colors.success : colors.warning;
@@ -358,7 +432,14 @@ function createDashboard() {
   statsInfo += `${colors.heading("ERROR")}:   ${colors.error(
     appState.requests.error
   )}\n`;
-  statsInfo += `${colors.heading("RATE")}:    ${rateColor(rateText)}`;
+  statsInfo += `${colors.heading("RATE")}:    ${rateColor(rateText)}\n`;
+  // Jira user cache (panel width only fits a short summary)
+  const userCache = appState.userCache;
+  statsInfo += `${colors.heading("USERS")}:   ${colors.normal(
+    userCache
+      ? `${userCache.hitRate}% hit, ${userCache.size} cached`
+      : "no lookups yet"
+  )}`;
 
   // Time info content
   let timeInfo = "";
@@ -409,6 +490,55 @@ function createDashboard() {
   // Remove trailing newline if needed
   teamsInfo = teamsInfo.trim();
 
+  // Active overrides content
+  let overridesInfo = "";
+  if (appState.activeOverrides.length > 0) {
+    overridesInfo = appState.activeOverrides
+      .map((override) => {
+        const target = override.phoneNumber
+          ? `****${String(override.phoneNumber).slice(-4)}`
+          : override.email;
+        const until = dayjs(override.end).format("MM-DD HH:mm");
+        const line = `${override.team.padEnd(12)} → ${target} until ${until}${
+          override.reason ? ` (${override.reason})` : ""
+        }`;
+        return colors.warning(line.substring(0, 72));
+      })
+      .join("\n");
+  } else {
+    overridesInfo = colors.dim("No active overrides");
+  }
+
+  // Background refresh content
+  let refreshInfo = "";
+  const refresh = appState.refresh;
+  if (!refresh) {
+    refreshInfo = colors.dim("Not run yet");
+  } else if (!refresh.enabled) {
+    refreshInfo = colors.dim("Disabled (PREWARM_INTERVAL_SECONDS=0)");
+  } else {
+    const lastRun = refresh.lastRunAt
+      ? dayjs(refresh.lastRunAt).format("HH:mm:ss")
+      : "never";
+    const nextHandoff = refresh.nextHandoffs[0];
+    refreshInfo += `${colors.heading("LAST RUN")}: ${colors.normal(
+      lastRun
+    )}  ${colors.success(`${refresh.succeeded} ok`)}  ${
+      refresh.failures.length
+        ? colors.error(`${refresh.failures.length} failed`)
+        : colors.dim("0 failed")
+    }`;
+    if (nextHandoff) {
+      refreshInfo += `\n${colors.heading("NEXT HAND-OFF")}: ${colors.normal(
+        `${nextHandoff.team} at ${dayjs(nextHandoff.at).format("MM-DD HH:mm")}`
+      )}`;
+    }
+    refresh.failures.slice(0, 3).forEach((failure) => {
+      const line = `${failure.team.padEnd(12)} ${failure.error}`;
+      refreshInfo += `\n${colors.error(line.substring(0, 72))}`;
+    });
+  }
+
   // Error content
   let errorInfo = "";
   if (appState.lastError) {
@@ -422,9 +552,13 @@ function createDashboard() {
   // Add titles and separators
   const addTitleAndSeparator = (title, content) => {
     const titleLine = colors.title(title);
-    const separator = "-".repeat(
-      title === "TEAM STATISTICS" || title === "LAST ERROR" ? 72 : 30
-    );
+    const fullWidthTitles = [
+      "TEAM STATISTICS",
+      "ACTIVE OVERRIDES",
+      "BACKGROUND REFRESH",
+      "LAST ERROR",
+    ];
+    const separator = "-".repeat(fullWidthTitles.includes(title) ? 72 : 30);
     return `${titleLine}\n${separator}\n${content}`;
   };
 
@@ -433,6 +567,8 @@ function createDashboard() {
   timeInfo = addTitleAndSeparator("TIME INFO", timeInfo);
   controlsInfo = addTitleAndSeparator("CONTROLS", controlsInfo);
   teamsInfo = addTitleAndSeparator("TEAM STATISTICS", teamsInfo);
+  overridesInfo = addTitleAndSeparator("ACTIVE OVERRIDES", overridesInfo);
+  refreshInfo = addTitleAndSeparator("BACKGROUND REFRESH", refreshInfo);
   errorInfo = addTitleAndSeparator("LAST ERROR", errorInfo);
 
   // Create top row panels with exact same width
@@ -464,6 +600,20 @@ function createDashboard() {
     width: fullWidth,
   });
 
+  const overridesBox = boxen(overridesInfo, {
+    padding: 1,
+    borderStyle: "round",
+    borderColor: "blue",
+    width: fullWidth,
+  });
+
+  const refreshBox = boxen(refreshInfo, {
+    padding: 1,
+    borderStyle: "round",
+    borderColor: "blue",
+    width: fullWidth,
+  });
+
   const errorBox = boxen(errorInfo, {
     padding: 1,
     borderStyle: "round",
@@ -520,6 +670,12 @@ function createDashboard() {
   // Add Teams panel
   dashboard += "\n" + teamsBox + "\n\n";
 
+  // Add Overrides panel
+  dashboard += overridesBox + "\n\n";
+
+  // Add Background refresh panel
+  dashboard += refreshBox + "\n\n";
+
   // Add Error panel
   dashboard += errorBox;
 
@@ -622,18 +778,14 @@ function initializeDashboard() {
  * Express middleware to track requests
  */
 function requestTracking(req, res, next) {
-  // Extract team from URL
-  const url = req.url.toLowerCase();
-  let team = "other";
-
-  if (url.startsWith("/helpdesk")) team = "helpdesk";
-  else if (url.startsWith("/network")) team = "network";
-  else if (url.startsWith("/ibmi")) team = "ibmi";
-  else if (url.startsWith("/windows")) team = "windows";
-  else if (url.startsWith("/sql")) team = "sql";
-  else if (url.startsWith("/sharepoint")) team = "sharepoint";
-  else if (url.startsWith("/test")) team = "test";
-  else if (url.startsWith("/health")) team = "health";
+  // Extract team from the first path segment of the URL
+  // (or the second one for the generic /oncall/:team and /teams/:team routes)
+  const segments = req.url.toLowerCase().split(/[?#]/)[0].split("/");
+  const segment =
+    (["oncall", "teams"].includes(segments[1]) ? segments[2] : segments[1]) ||
+    "";
+  const team =
+    appState.requests.teams[segment] !== undefined ? segment : "other";
 
   // Track request start
   const originalEnd = res.end;
@@ -654,6 +806,11 @@ export default {
   logger,
   initializeDashboard,
   requestTracking,
+  setTeams,
+  setActiveOverrides,
+  setUserCacheStats,
+  setRefreshStatus,
+  setCircuitStates,
   getAppState: () => ({ ...appState }),
   resetStats: () => {
     appState.requests.total = 0;
@@ -4,13 +4,23 @@
  * A clean, modular implementation for directly accessing Jira Service Manager
  * and SQL database to retrieve on-call phone numbers.
  *
+ * Who is on call comes from an on-call provider (JSM or a local file, see
+ * oncall-providers.js); this module adds schedule matching, escalation,
+ * caching and the directory lookup.
+ *
  * Uses modern async/await patterns and proper error handling.
  */
 
-import fetch from "node-fetch";
 import sql from "mssql";
 import dashboard from "./console-dashboard.js";
 import config from "./config.js";
+import scheduleMatcher from "./schedule-matcher.js";
+import onCallProviders from "./oncall-providers.js";
+import businessHours from "./business-hours.js";
+import singleFlight from "./single-flight.js";
+import circuitBreaker from "./circuit-breaker.js";
+import jiraClient from "./jira-client.js";
+import phoneNumbers from "./phone-number.js";
 import dayjs from "dayjs";
 import utc from "dayjs/plugin/utc.js";
 import timezone from "dayjs/plugin/timezone.js";
@@ -21,77 +31,819 @@ dayjs.extend(timezone);
 
 // Initialize caches with default TTL (time-to-live) values
 const cache = {
-  schedules: {
-    data: null,
-    expiry: null,
-    duration: 15 * 60 * 1000, // 15 minutes in milliseconds
-  },
   phoneData: {
     data: null,
     expiry: null,
     duration: 60 * 60 * 1000, // 1 hour in milliseconds
   },
+  // Point-in-time lookups (?at=) keyed by team and query time, kept apart
+  // from live lookups so a future hand-off check never answers a live call
+  pointInTime: {
+    entries: new Map(),
+    duration: 5 * 60 * 1000, // 5 minutes in milliseconds
+    maxEntries: 500,
+  },
+  // Live on-call answers keyed by schedule, valid until the shift hand-off
+  // (capped by config.cache.onCallMaxTtlMs)
+  onCall: {
+    entries: new Map(),
+  },
+  // "provider|user ID" -> { displayName, emailAddress }, in least-recently-used
+  // order (Map insertion order, refreshed on every hit)
+  users: {
+    entries: new Map(),
+    hits: 0,
+    misses: 0,
+  },
+};
+
+// Concurrent identical lookups share one upstream call
+const inFlight = {
+  teams: singleFlight.create("team"),
+  onCalls: singleFlight.create("on-call"),
+  users: singleFlight.create("Jira user"),
+  phoneNumbers: singleFlight.create("phone number"),
 };
 
 /**
- * Get on-call phone number for a specific team
+ * Key a shared Jira lookup by whether it runs in the background, so a live
+ * call never joins a lookup that keeps retrying past the live deadline
  *
- * @param {string} teamName - Name of the team
+ * @param {string} key - Identity of the lookup
+ * @returns {string} Key for the single-flight group
+ */
+function flightKey(key) {
+  return `${key}|${jiraClient.isBackground() ? "background" : "live"}`;
+}
+
+// Connection pool for directory lookups (a promise), opened on first use and
+// closed by closeSqlConnections
+let sqlPool = null;
+
+// Directory lookups fail fast while SQL Server keeps failing
+const sqlBreaker = circuitBreaker.create("SQL", config.circuitBreakers.sql);
+
+const { formatPhoneNumber, isValidPhoneNumber } = phoneNumbers;
+
+// Default timezone for on-call queries
+const DEFAULT_TIME_ZONE = process.env.TIME_ZONE || "America/Chicago"; // Default to Chicago if not specified
+
+/**
+ * Parse a point-in-time query value
+ * Timestamps with a "Z" or UTC offset are taken as-is; local timestamps
+ * such as "2026-10-24T02:00" are interpreted in the given timezone.
+ *
+ * @param {string} value - ISO 8601 timestamp
+ * @param {string} [timeZone] - Timezone for timestamps without an offset
+ * @returns {Object|null} dayjs instance, or null if the value is invalid
+ */
+function parseQueryTime(value, timeZone = DEFAULT_TIME_ZONE) {
+  if (!value) return null;
+
+  const text = String(value).trim();
+  const hasOffset = /(Z|[+-]\d{2}:?\d{2})$/i.test(text);
+  const parsed = hasOffset ? dayjs(text) : dayjs.tz(text, timeZone);
+
+  return parsed.isValid() ? parsed : null;
+}
+
+/**
+ * Pick the timezone used to compute "now" for a schedule
+ * A team's `timezone` override wins, then the schedule's own timezone from
+ * Jira, then TIME_ZONE. Unknown names are logged and skipped.
+ *
+ * @param {Object|null} schedule - Jira schedule object
+ * @param {string|null} [override] - Team timezone override
+ * @param {string} [requestId] - Request ID for logging
+ * @returns {string} IANA timezone name
+ */
+function getScheduleTimeZone(schedule, override = null, requestId) {
+  for (const timeZone of [override, schedule?.timezone]) {
+    if (!timeZone) continue;
+    if (businessHours.isValidTimeZone(timeZone)) return timeZone;
+    dashboard.logger.warning(`Ignoring unknown timezone "${timeZone}"`, {
+      requestId,
+      scheduleId: schedule?.id,
+    });
+  }
+  return DEFAULT_TIME_ZONE;
+}
+
+/**
+ * Resolve the on-call phone number for a team, following its escalation policy
+ *
+ * Without an `escalation` policy only the primary on-call participant is
+ * tried. With one, the tiers are tried in order until one yields a number:
+ *
+ * 1. primary     - first participant of the team's schedule
+ * 2. participant - remaining participants (unless `nextParticipant: false`)
+ * 3. secondary   - participants of `escalation.secondarySchedule`
+ * 4. teamLead    - `escalation.teamLead` (email, or { email, phoneNumber, name })
+ * 5. huntGroup   - static `escalation.huntGroup` number
+ *
+ * "Now" is computed in the team's `timezone` if set, otherwise in each
+ * schedule's own timezone.
+ *
+ * Point-in-time lookups (`options.at`) are cached briefly in their own cache.
+ *
+ * @param {Object} team - Team entry from the registry
  * @param {string} requestId - Request ID for logging
- * @returns {Promise<string>} Phone number
+ * @param {Object} [options] - Lookup options
+ * @param {string} [options.at] - ISO timestamp to resolve instead of "now"
+ * @param {boolean} [options.refresh] - Ignore cached live answers (the fresh
+ *        answer is still cached)
+ * @returns {Promise<Object>} Resolution with phoneNumber, tier, displayName,
+ *          email, scheduleId, scheduleName, shiftEnd, at and the failures of
+ *          earlier tiers
  */
-async function getTeamOnCallPhoneNumber(teamName, requestId) {
-  try {
-    // Step 1: Get the team's schedule
-    const schedule = await getTeamSchedule(teamName, requestId);
-    if (!schedule) {
-      throw new Error(`No schedule found for team: ${teamName}`);
+async function resolveTeamOnCall(team, requestId, options = {}) {
+  if (!options.at) {
+    return resolveTeamOnCallShared(team, requestId, options);
+  }
+
+  const at = dayjs(options.at).toISOString();
+  const key = `${team.endpoint}|${team.scheduleId || team.schedule}|${at}`;
+  const now = Date.now();
+  const cached = cache.pointInTime.entries.get(key);
+
+  if (cached && now < cached.expiry) {
+    dashboard.logger.info(`Using cached point-in-time lookup for ${at}`, {
+      requestId,
+      team: team.endpoint,
+    });
+    return cached.data;
+  }
+
+  const result = await resolveTeamOnCallShared(team, requestId, { at });
+
+  const entries = cache.pointInTime.entries;
+  entries.delete(key);
+  entries.set(key, { data: result, expiry: now + cache.pointInTime.duration });
+  if (entries.size > cache.pointInTime.maxEntries) {
+    // Maps iterate in insertion order, so the first key is the oldest
+    entries.delete(entries.keys().next().value);
+  }
+
+  return result;
+}
+
+/**
+ * Resolve a team's on-call phone number, joining an identical lookup that is
+ * already in flight
+ *
+ * @param {Object} team - Team entry from the registry
+ * @param {string} requestId - Request ID for logging
+ * @param {Object} options - Lookup options (see resolveTeamOnCall)
+ * @returns {Promise<Object>} Resolution (see resolveTeamOnCall)
+ */
+function resolveTeamOnCallShared(team, requestId, options) {
+  const key = [
+    team.endpoint,
+    team.scheduleId || team.schedule,
+    options.at || "now",
+    options.refresh ? "refresh" : "live",
+  ].join("|");
+  return inFlight.teams.run(flightKey(key), requestId, () =>
+    resolveTeamOnCallUncached(team, requestId, options)
+  );
+}
+
+/**
+ * Resolve a team's on-call phone number without consulting caches
+ *
+ * @param {Object} team - Team entry from the registry
+ * @param {string} requestId - Request ID for logging
+ * @param {Object} options - Lookup options (see resolveTeamOnCall)
+ * @returns {Promise<Object>} Resolution (see resolveTeamOnCall)
+ */
+async function resolveTeamOnCallUncached(team, requestId, options) {
+  const at = options.at || null;
+  const refresh = !!options.refresh;
+  const scheduleRef = team.scheduleId || team.schedule;
+  const policy = team.escalation || null;
+  const tryAllParticipants = !!policy && policy.nextParticipant !== false;
+  const failures = [];
+
+  const tiers = [
+    {
+      tier: "primary",
+      run: () =>
+        resolveFromSchedule(scheduleRef, "primary", requestId, {
+          aliases: team.aliases,
+          tryAllParticipants,
+          failures,
+          at,
+          refresh,
+          timeZone: team.timezone,
+          provider: team.provider,
+        }),
+    },
+  ];
+
+  if (policy?.secondarySchedule) {
+    tiers.push({
+      tier: "secondary",
+      run: () =>
+        resolveFromSchedule(policy.secondarySchedule, "secondary", requestId, {
+          tryAllParticipants,
+          failures,
+          at,
+          refresh,
+          provider: team.provider,
+        }),
+    });
+  }
+
+  if (policy?.teamLead) {
+    tiers.push({
+      tier: "teamLead",
+      run: () => resolveTeamLead(policy.teamLead, requestId),
+    });
+  }
+
+  if (policy?.huntGroup) {
+    tiers.push({
+      tier: "huntGroup",
+      run: async () => resolveHuntGroup(team),
+    });
+  }
+
+  for (const { tier, run } of tiers) {
+    try {
+      const result = await run();
+      if (result) {
+        if (failures.length > 0) {
+          dashboard.logger.warning(
+            `Escalated ${team.displayName} on-call lookup to ${result.tier}`,
+            { requestId, team: team.endpoint, failures }
+          );
+        }
+        return {
+          ...result,
+          team: team.endpoint,
+          at: at || new Date().toISOString(),
+          failures,
+        };
+      }
+    } catch (error) {
+      failures.push(tierFailure(tier, error));
     }
+  }
+
+  // With a single attempt, keep the original error message for callers
+  const error = new Error(
+    failures.length === 1
+      ? failures[0].reason
+      : `All escalation tiers failed for team ${team.displayName}: ` +
+        failures.map((f) => `${f.tier}: ${f.reason}`).join("; ")
+  );
+  error.failures = failures;
 
-    // Step 2: Get the on-call user for this schedule
-    const user = await getOnCallUser(schedule.id, requestId);
-    if (!user?.emailAddress) {
-      throw new Error(`No on-call user with email found for team: ${teamName}`);
+  dashboard.logger.error(
+    `Error getting on-call phone number for ${team.displayName}`,
+    {
+      requestId,
+      error: error.message,
     }
+  );
+  throw error;
+}
 
-    // Step 3: Look up the phone number for this user
-    const phoneNumber = await getPhoneNumberByEmail(
-      user.emailAddress,
-      requestId
+/**
+ * Describe a failed escalation tier
+ * `unavailable` marks failures caused by Jira or the directory being down,
+ * as opposed to answers that will not change on retry.
+ *
+ * @param {string} tier - Escalation tier that failed
+ * @param {Error} error - Why it failed
+ * @returns {Object} tier, reason and, if set, unavailable
+ */
+function tierFailure(tier, error) {
+  return {
+    tier,
+    reason: error.message,
+    ...(error.unavailable && { unavailable: true }),
+  };
+}
+
+/**
+ * Resolve a phone number from the on-call participants of a schedule
+ * Failed participants are recorded in `options.failures`.
+ *
+ * @param {string} scheduleRef - Schedule name or ID
+ * @param {string} tier - Escalation tier being attempted
+ * @param {string} requestId - Request ID for logging
+ * @param {Object} options - Resolution options
+ * @param {Array<string>} [options.aliases] - Alternative schedule names
+ * @param {boolean} options.tryAllParticipants - Fall through to later participants
+ * @param {Array<Object>} options.failures - Collected tier failures
+ * @param {string|null} [options.at] - ISO timestamp to resolve instead of "now"
+ * @param {boolean} [options.refresh] - Skip the cached live answer
+ * @param {string|null} [options.timeZone] - Timezone overriding the schedule's
+ * @returns {Promise<Object|null>} Resolution or null if no participant resolved
+ */
+async function resolveFromSchedule(scheduleRef, tier, requestId, options) {
+  const { aliases, tryAllParticipants, failures, at } = options;
+
+  const schedule = await getTeamSchedule(scheduleRef, requestId, {
+    aliases,
+    provider: options.provider,
+  });
+  if (!schedule) {
+    throw new Error(`No schedule found for team: ${scheduleRef}`);
+  }
+
+  // The answer only changes at hand-off, so live lookups reuse it until then.
+  // Teams overriding the timezone see a different "now" for the schedule.
+  const timeZone = getScheduleTimeZone(schedule, options.timeZone, requestId);
+  const cacheKey = `${schedule.id}|${timeZone}|${
+    tryAllParticipants ? "all" : "first"
+  }`;
+  const cached = at || options.refresh ? null : getCachedOnCall(cacheKey);
+  if (cached) {
+    dashboard.logger.info(`Using cached on-call for ${schedule.name}`, {
+      requestId,
+      expiresIn: Math.round((cached.expiry - Date.now()) / 1000),
+    });
+    return { ...cached.data, tier };
+  }
+
+  const participants = await getOnCallParticipants(
+    schedule.id,
+    requestId,
+    at,
+    timeZone,
+    schedule.provider
+  );
+  if (participants.length === 0) {
+    throw new Error(
+      `No on-call user with email found for team: ${scheduleRef}`
     );
-    if (!phoneNumber) {
-      throw new Error(`No phone number found for email: ${user.emailAddress}`);
-    }
+  }
 
-    return phoneNumber;
-  } catch (error) {
-    dashboard.logger.error(
-      `Error getting on-call phone number for ${teamName}`,
-      {
+  const candidates = tryAllParticipants
+    ? participants
+    : participants.slice(0, 1);
+
+  for (const [index, participant] of candidates.entries()) {
+    const participantTier =
+      tier === "primary" && index > 0 ? "participant" : tier;
+
+    try {
+      const user = await getJiraUser(
+        participant.id,
         requestId,
-        error: error.message,
+        schedule.provider
+      );
+      if (!user?.emailAddress) {
+        throw new Error(
+          `No on-call user with email found for team: ${scheduleRef}`
+        );
+      }
+
+      const phoneNumber = await getPhoneNumberByEmail(
+        user.emailAddress,
+        requestId
+      );
+      if (!phoneNumber) {
+        throw new Error(
+          `No phone number found for email: ${user.emailAddress}`
+        );
+      }
+
+      const result = {
+        phoneNumber,
+        tier: participantTier,
+        participantIndex: index,
+        displayName: user.displayName,
+        email: user.emailAddress,
+        scheduleId: schedule.id,
+        scheduleName: schedule.name,
+        shiftEnd: participant.shiftEnd,
+      };
+      // An answer reached past a failed participant is retried next time
+      if (!at && index === 0) {
+        cacheOnCall(cacheKey, result);
       }
+      return result;
+    } catch (error) {
+      failures.push({
+        ...tierFailure(participantTier, error),
+        participantIndex: index,
+      });
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get a live on-call answer if it has not expired
+ *
+ * @param {string} key - Cache key (schedule ID, timezone and participant mode)
+ * @returns {Object|null} Cache entry with data and expiry, or null
+ */
+function getCachedOnCall(key) {
+  const entry = cache.onCall.entries.get(key);
+  if (!entry) return null;
+  if (Date.now() >= entry.expiry) {
+    cache.onCall.entries.delete(key);
+    return null;
+  }
+  return entry;
+}
+
+/**
+ * Cache a live on-call answer until the end of the current shift
+ * Answers without a reported shift end use the maximum TTL.
+ *
+ * @param {string} key - Cache key (schedule ID, timezone and participant mode)
+ * @param {Object} data - Resolution from resolveFromSchedule
+ */
+function cacheOnCall(key, data) {
+  const now = Date.now();
+  const maxExpiry = now + config.cache.onCallMaxTtlMs;
+  const shiftEnd = data.shiftEnd ? Date.parse(data.shiftEnd) : null;
+  const expiry = shiftEnd ? Math.min(shiftEnd, maxExpiry) : maxExpiry;
+
+  if (expiry > now) {
+    cache.onCall.entries.set(key, {
+      data,
+      expiry,
+      scheduleId: data.scheduleId,
+    });
+  }
+}
+
+/**
+ * Drop cached on-call answers (live and point-in-time)
+ *
+ * @param {string|null} [scheduleId] - Only drop this schedule (default: all)
+ * @returns {number} Number of entries removed
+ */
+function invalidateOnCallCache(scheduleId = null) {
+  let count = 0;
+  for (const [entries, getScheduleId] of [
+    [cache.onCall.entries, (entry) => entry.scheduleId],
+    [cache.pointInTime.entries, (entry) => entry.data?.scheduleId],
+  ]) {
+    if (!scheduleId) {
+      count += entries.size;
+      entries.clear();
+      continue;
+    }
+
+    for (const [key, entry] of entries) {
+      if (getScheduleId(entry) === scheduleId) {
+        entries.delete(key);
+        count++;
+      }
+    }
+  }
+  return count;
+}
+
+/**
+ * Resolve the phone number of a team's named lead
+ *
+ * @param {string|Object} teamLead - Email address, or { email, phoneNumber, name }
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<Object>} Resolution for the teamLead tier
+ */
+async function resolveTeamLead(teamLead, requestId) {
+  const lead = typeof teamLead === "string" ? { email: teamLead } : teamLead;
+
+  // A configured number that cannot be dialed falls back to the directory
+  let phoneNumber = isValidPhoneNumber(lead.phoneNumber)
+    ? formatPhoneNumber(lead.phoneNumber)
+    : null;
+  if (!phoneNumber && lead.email) {
+    phoneNumber = await getPhoneNumberByEmail(lead.email, requestId);
+  }
+  if (!phoneNumber) {
+    throw new Error(
+      `No phone number found for team lead: ${
+        lead.email || lead.name || "(no email)"
+      }`
     );
+  }
+
+  return {
+    phoneNumber,
+    tier: "teamLead",
+    displayName: lead.name || lead.email,
+    email: lead.email || null,
+  };
+}
+
+/**
+ * Resolve a team's static hunt group number
+ *
+ * @param {Object} team - Team entry with `escalation.huntGroup`
+ * @returns {Object} Resolution for the huntGroup tier
+ */
+function resolveHuntGroup(team) {
+  const huntGroup = team.escalation.huntGroup;
+  if (!isValidPhoneNumber(huntGroup)) {
+    throw new Error(`Hunt group number "${huntGroup}" cannot be dialed`);
+  }
+
+  return {
+    phoneNumber: formatPhoneNumber(huntGroup),
+    tier: "huntGroup",
+    displayName: `${team.displayName} hunt group`,
+  };
+}
+
+/**
+ * Resolve a team's ranked on-call list
+ *
+ * Lists every on-call participant of the team's schedule, then, if the team
+ * has an escalation policy, the participants of its secondary schedule, its
+ * team lead and its hunt group, so a caller can work down the list until
+ * someone answers. Tiers that fail are recorded in `failures` and skipped.
+ *
+ * @param {Object} team - Team entry from the registry
+ * @param {string} requestId - Request ID for logging
+ * @param {Object} [options] - Lookup options
+ * @param {string} [options.at] - ISO timestamp to resolve instead of "now"
+ * @param {boolean} [options.refresh] - Ignore cached live answers
+ * @returns {Promise<Object>} team, at, scheduleId, scheduleName, the ranked
+ *          participants and the failures of skipped tiers
+ */
+async function resolveTeamParticipants(team, requestId, options = {}) {
+  const at = options.at || null;
+  const policy = team.escalation || null;
+  const failures = [];
+  const participants = [];
+  let primary = null;
+
+  const schedules = [
+    {
+      tier: "primary",
+      scheduleRef: team.scheduleId || team.schedule,
+      aliases: team.aliases,
+      timeZone: team.timezone,
+    },
+  ];
+  if (policy?.secondarySchedule) {
+    schedules.push({
+      tier: "secondary",
+      scheduleRef: policy.secondarySchedule,
+    });
+  }
+
+  for (const { tier, scheduleRef, aliases, timeZone } of schedules) {
+    let result;
+    try {
+      result = await getScheduleParticipants(scheduleRef, requestId, {
+        aliases,
+        at,
+        refresh: options.refresh,
+        timeZone,
+        provider: team.provider,
+      });
+    } catch (error) {
+      failures.push(tierFailure(tier, error));
+      continue;
+    }
+    if (tier === "primary") primary = result;
+
+    result.participants.forEach((participant, index) =>
+      participants.push({
+        ...participant,
+        tier: tier === "primary" && index > 0 ? "participant" : tier,
+        scheduleId: result.scheduleId,
+        scheduleName: result.scheduleName,
+      })
+    );
+
+    // A schedule whose participants all failed because Jira or the
+    // directory is down counts as a failed tier
+    if (
+      result.unavailable &&
+      !result.participants.some((participant) => participant.phoneNumber)
+    ) {
+      failures.push({
+        tier,
+        reason: `No on-call participant of ${result.scheduleName} could be resolved`,
+        unavailable: true,
+      });
+    }
+  }
+
+  if (policy?.teamLead) {
+    try {
+      const lead = await resolveTeamLead(policy.teamLead, requestId);
+      participants.push({ ...lead, participantId: null });
+    } catch (error) {
+      failures.push(tierFailure("teamLead", error));
+    }
+  }
+
+  if (policy?.huntGroup) {
+    try {
+      participants.push({
+        ...resolveHuntGroup(team),
+        participantId: null,
+        email: null,
+      });
+    } catch (error) {
+      failures.push(tierFailure("huntGroup", error));
+    }
+  }
+
+  if (participants.length === 0) {
+    const error = new Error(
+      failures.length === 1
+        ? failures[0].reason
+        : `All escalation tiers failed for team ${team.displayName}: ` +
+          failures.map((f) => `${f.tier}: ${f.reason}`).join("; ")
+    );
+    error.failures = failures;
     throw error;
   }
+
+  dashboard.logger.info(`Resolved ${team.displayName} on-call list`, {
+    requestId,
+    team: team.endpoint,
+    participants: participants.length,
+    unresolved: participants.filter((p) => !p.phoneNumber).length,
+    ...(failures.length && { failures }),
+  });
+
+  return {
+    team: team.endpoint,
+    at: at || new Date().toISOString(),
+    scheduleId: primary?.scheduleId || null,
+    scheduleName: primary?.scheduleName || null,
+    participants: participants.map((participant, index) => ({
+      rank: index + 1,
+      tier: participant.tier,
+      participantId: participant.participantId,
+      displayName: participant.displayName || null,
+      email: participant.email || null,
+      phoneNumber: participant.phoneNumber || null,
+      rotation: participant.rotation || null,
+      override: !!participant.override,
+      scheduleId: participant.scheduleId || null,
+      scheduleName: participant.scheduleName || null,
+      shiftEnd: participant.shiftEnd || null,
+      ...(participant.error && { error: participant.error }),
+    })),
+    failures,
+  };
+}
+
+/**
+ * Resolve every on-call participant of a schedule, highest ranked first
+ * Each participant's email and directory phone are looked up; one that
+ * cannot be resolved keeps null values and an `error`. Live answers without
+ * errors are cached until the earliest hand-off.
+ *
+ * @param {string} scheduleRef - Schedule name or ID
+ * @param {string} requestId - Request ID for logging
+ * @param {Object} [options] - Lookup options
+ * @param {Array<string>} [options.aliases] - Alternative schedule names
+ * @param {string|null} [options.at] - ISO timestamp to resolve instead of "now"
+ * @param {boolean} [options.refresh] - Skip the cached live answer
+ * @param {string|null} [options.timeZone] - Timezone overriding the schedule's
+ * @param {string} [options.provider] - On-call provider of the schedule
+ * @returns {Promise<Object>} scheduleId, scheduleName, shiftEnd, the
+ *          participants (participantId, type, rotation, override,
+ *          displayName, email, phoneNumber, shiftEnd) and whether a lookup
+ *          failed because Jira or the directory was `unavailable`
+ */
+async function getScheduleParticipants(scheduleRef, requestId, options = {}) {
+  const schedule = await getTeamSchedule(scheduleRef, requestId, {
+    aliases: options.aliases,
+    provider: options.provider,
+  });
+  if (!schedule) {
+    throw new Error(`No schedule found for team: ${scheduleRef}`);
+  }
+
+  const timeZone = getScheduleTimeZone(schedule, options.timeZone, requestId);
+  const cacheKey = `${schedule.id}|${timeZone}|participants`;
+  const cached =
+    options.at || options.refresh ? null : getCachedOnCall(cacheKey);
+  if (cached) {
+    dashboard.logger.info(`Using cached participants for ${schedule.name}`, {
+      requestId,
+      expiresIn: Math.round((cached.expiry - Date.now()) / 1000),
+    });
+    return cached.data;
+  }
+
+  const onCall = await getOnCallParticipants(
+    schedule.id,
+    requestId,
+    options.at,
+    timeZone,
+    schedule.provider
+  );
+
+  // One at a time: directory lookups share a single SQL connection pool
+  const participants = [];
+  let unavailable = false;
+  for (const participant of onCall) {
+    const person = {
+      participantId: participant.id,
+      type: participant.type || "user",
+      rotation: participant.rotation || null,
+      override: !!participant.override,
+      displayName: null,
+      email: null,
+      phoneNumber: null,
+      shiftEnd: participant.shiftEnd || null,
+    };
+    try {
+      const user = await getJiraUser(
+        participant.id,
+        requestId,
+        schedule.provider
+      );
+      person.displayName = user?.displayName || null;
+      person.email = user?.emailAddress || null;
+      if (!person.email) {
+        throw new Error(`No email found for participant ${participant.id}`);
+      }
+
+      person.phoneNumber = await getPhoneNumberByEmail(person.email, requestId);
+      if (!person.phoneNumber) {
+        throw new Error(`No phone number found for email: ${person.email}`);
+      }
+    } catch (error) {
+      person.error = error.message;
+      if (error.unavailable) unavailable = true;
+    }
+    participants.push(person);
+  }
+
+  const shiftEnds = participants
+    .map((participant) => participant.shiftEnd)
+    .filter(Boolean)
+    .sort((a, b) => Date.parse(a) - Date.parse(b));
+  const result = {
+    scheduleId: schedule.id,
+    scheduleName: schedule.name,
+    shiftEnd: shiftEnds[0] || null,
+    participants,
+    unavailable,
+  };
+
+  // Directory or Jira errors are retried on the next lookup
+  if (!options.at && participants.every((participant) => !participant.error)) {
+    cacheOnCall(cacheKey, result);
+  }
+  return result;
 }
 
 /**
  * Get Jira schedule for a specific team
  *
- * @param {string} teamName - Name of the team
+ * Matching is exact first, then case-, punctuation- and "-schedule"
+ * suffix-insensitive (including aliases), then a ranked fuzzy fallback.
+ * Ambiguous matches are logged with every candidate schedule.
+ *
+ * @param {string} teamName - Jira schedule name or ID for the team
  * @param {string} requestId - Request ID for logging
+ * @param {Object} [matchOptions] - Schedule matching options
+ * @param {Array<string>} [matchOptions.aliases] - Alternative schedule names
+ * @param {string} [matchOptions.provider] - On-call provider of the schedule
+ * @param {boolean} [matchOptions.fuzzy] - Allow the fuzzy fallback
+ *        (default true)
  * @returns {Promise<Object>} Schedule object
  */
-async function getTeamSchedule(teamName, requestId) {
+async function getTeamSchedule(teamName, requestId, matchOptions = {}) {
+  const { schedule } = await matchTeamSchedule(
+    teamName,
+    requestId,
+    matchOptions
+  );
+  return schedule;
+}
+
+/**
+ * Match a team name against the provider's schedules
+ * Takes the same options as getTeamSchedule. Without the fuzzy fallback,
+ * the schedule it would have picked is returned as `suggestion`.
+ *
+ * @param {string} teamName - Jira schedule name or ID for the team
+ * @param {string} requestId - Request ID for logging
+ * @param {Object} [matchOptions] - Schedule matching options
+ * @returns {Promise<{schedule: Object|null, suggestion: Object|null}>}
+ *          Matching schedule and, if none matched, the closest one
+ */
+async function matchTeamSchedule(teamName, requestId, matchOptions = {}) {
   dashboard.logger.info(`Looking up schedule for team ${teamName}`, {
     requestId,
   });
 
   // Get all schedules
-  const schedules = await getSchedules(requestId);
+  const schedules = await getSchedules(requestId, matchOptions.provider);
   if (!schedules?.length) {
-    return null;
+    return { schedule: null, suggestion: null };
   }
 
   // Log all available schedules for debugging
@@ -100,105 +852,139 @@ async function getTeamSchedule(teamName, requestId) {
     schedules: schedules.map((s) => s.name),
   });
 
-  // Find exact match by name (using exact Jira schedule names)
-  const matchingSchedule = schedules.find(
-    (schedule) => schedule.name === teamName
-  );
+  const {
+    schedule: matchingSchedule,
+    matchType,
+    score,
+    candidates,
+    suggestion,
+  } = scheduleMatcher.matchSchedule(teamName, schedules, {
+    aliases: matchOptions.aliases,
+    threshold: config.teams.matchThreshold,
+    fuzzy: matchOptions.fuzzy,
+  });
+
+  if (candidates.length > 0) {
+    dashboard.logger.warning(
+      `Ambiguous schedule match for team ${teamName}, using "${matchingSchedule.name}"`,
+      {
+        requestId,
+        matchType,
+        candidates: candidates.map((candidate) => candidate.name),
+        suggestion: `Set "scheduleId" for this team in the registry to pick one explicitly`,
+      }
+    );
+  }
 
   if (matchingSchedule) {
     dashboard.logger.info(`Found schedule: ${matchingSchedule.name}`, {
       requestId,
       scheduleId: matchingSchedule.id,
+      matchType,
+      ...(score !== undefined && { score }),
     });
   } else {
     dashboard.logger.warning(`No schedule found for team ${teamName}`, {
       requestId,
+      ...(suggestion && { suggestion: suggestion.name }),
     });
   }
 
-  return matchingSchedule;
+  return { schedule: matchingSchedule, suggestion: suggestion || null };
 }
 
 /**
- * Get all schedules from Jira, with caching
+ * Get all schedules of an on-call provider
+ * The JSM provider caches its schedule list (see jsm-provider.js).
  *
  * @param {string} requestId - Request ID for logging
+ * @param {string} [providerName] - On-call provider (defaults to
+ *        ONCALL_PROVIDER)
  * @returns {Promise<Array>} Array of schedule objects
  */
-async function getSchedules(requestId) {
-  // Check if we have a valid cache
-  const now = Date.now();
-  if (
-    cache.schedules.data &&
-    cache.schedules.expiry &&
-    now < cache.schedules.expiry
-  ) {
-    dashboard.logger.info(
-      `Using cached schedule data (expires in ${Math.round(
-        (cache.schedules.expiry - now) / 1000
-      )} seconds)`,
-      { requestId }
-    );
-    return cache.schedules.data;
-  }
+async function getSchedules(requestId, providerName) {
+  return onCallProviders.get(providerName).listSchedules(requestId);
+}
 
-  dashboard.logger.info(`Fetching schedules from Jira API`, { requestId });
+/**
+ * Get the current on-call participants for a specific schedule
+ *
+ * @param {string} scheduleId - ID of the schedule
+ * @param {string} requestId - Request ID for logging
+ * @param {string|Date|null} [at] - Point in time to query (defaults to now)
+ * @param {string|null} [timeZone] - Timezone of the query (defaults to the
+ *        schedule's own timezone)
+ * @param {string} [providerName] - On-call provider (defaults to
+ *        ONCALL_PROVIDER)
+ * @returns {Promise<Array<Object>>} On-call participants, highest ranked
+ *          first
+ */
+async function getOnCallParticipants(
+  scheduleId,
+  requestId,
+  at = null,
+  timeZone = null,
+  providerName = undefined
+) {
+  const provider = onCallProviders.get(providerName);
+  const queryTimeZone =
+    timeZone ||
+    (await lookupScheduleTimeZone(scheduleId, requestId, provider.name));
 
-  // Jira API configuration from config.js
-  const JIRA_USERNAME = config.jira.username;
-  const JIRA_API_TOKEN = config.jira.apiToken;
-  const JIRA_CLOUD_ID = config.jira.cloudId;
-  const JIRA_HOST_URL = config.jira.hostUrl;
-  const JIRA_BASE_PATH = config.jira.basePath;
+  dashboard.logger.info(`Looking up on-call user for schedule ${scheduleId}`, {
+    requestId,
+    timeZone: queryTimeZone,
+  });
 
-  if (
-    !JIRA_USERNAME ||
-    !JIRA_API_TOKEN ||
-    !JIRA_CLOUD_ID ||
-    !JIRA_HOST_URL ||
-    !JIRA_BASE_PATH
-  ) {
-    throw new Error("Incomplete Jira API configuration");
-  }
+  const queryISO = (at ? dayjs(at) : dayjs()).tz(queryTimeZone).format();
 
-  // Build the URL and auth header
-  const url = `${JIRA_HOST_URL}/${JIRA_BASE_PATH}/${JIRA_CLOUD_ID}/v1/schedules`;
-  const auth =
-    "Basic " +
-    Buffer.from(`${JIRA_USERNAME}:${JIRA_API_TOKEN}`).toString("base64");
+  return inFlight.onCalls.run(
+    flightKey(`${provider.name}|${scheduleId}|${queryISO}`),
+    requestId,
+    () => fetchOnCallParticipants(provider, scheduleId, queryISO, requestId)
+  );
+}
 
+/**
+ * Fetch the on-call participants of a schedule at a point in time
+ *
+ * @param {Object} provider - On-call provider
+ * @param {string} scheduleId - ID of the schedule
+ * @param {string} queryISO - Query time with the schedule's UTC offset
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<Array<Object>>} On-call participants
+ */
+async function fetchOnCallParticipants(
+  provider,
+  scheduleId,
+  queryISO,
+  requestId
+) {
   try {
-    // Make the request
-    const response = await fetch(url, {
-      method: "GET",
-      headers: {
-        Authorization: auth,
-        Accept: "application/json",
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error ${response.status}: ${response.statusText}`);
-    }
+    const participants = await provider.getOnCall(
+      scheduleId,
+      queryISO,
+      requestId
+    );
 
-    const data = await response.json();
+    dashboard.logger.info(`On-call data received`, {
+      requestId,
+      hasParticipants: participants.length > 0,
+      participantCount: participants.length,
+    });
 
-    if (!data.values || !Array.isArray(data.values)) {
-      throw new Error("Invalid response format from Jira API");
+    if (participants.length === 0) {
+      dashboard.logger.warning(
+        `No on-call participants found for schedule ${scheduleId}`,
+        { requestId }
+      );
     }
 
-    // Update cache
-    cache.schedules.data = data.values;
-    cache.schedules.expiry = now + cache.schedules.duration;
-
-    dashboard.logger.info(
-      `Retrieved ${data.values.length} schedules from Jira`,
-      { requestId }
-    );
-    return data.values;
+    return participants;
   } catch (error) {
-    dashboard.logger.error(`Error fetching schedules from Jira`, {
+    dashboard.logger.error(`Error getting on-call participants`, {
       requestId,
+      scheduleId,
       error: error.message,
     });
     throw error;
@@ -206,154 +992,414 @@ async function getSchedules(requestId) {
 }
 
 /**
- * Get on-call user for a specific schedule
+ * Find a schedule's own timezone from the (cached) schedule list
+ * Falls back to TIME_ZONE if the schedule list cannot be read.
  *
  * @param {string} scheduleId - ID of the schedule
  * @param {string} requestId - Request ID for logging
- * @returns {Promise<Object>} User object
+ * @param {string} [providerName] - On-call provider of the schedule
+ * @returns {Promise<string>} IANA timezone name
  */
-async function getOnCallUser(scheduleId, requestId) {
-  dashboard.logger.info(`Looking up on-call user for schedule ${scheduleId}`, {
-    requestId,
-  });
-
-  // Jira API configuration from config.js
-  const JIRA_USERNAME = config.jira.username;
-  const JIRA_API_TOKEN = config.jira.apiToken;
-  const JIRA_CLOUD_ID = config.jira.cloudId;
-  const JIRA_HOST_URL = config.jira.hostUrl;
-  const JIRA_BASE_PATH = config.jira.basePath;
-  const JIRA_DOMAIN = process.env.JIRA_DOMAIN;
-
-
-  const timeZone = process.env.TIME_ZONE || "America/Chicago"; // Default to Chicago if not specified
-  const todayISO = dayjs().tz(timeZone).format();
-
-  // Build auth header
-  const auth =
-    "Basic " +
-    Buffer.from(`${JIRA_USERNAME}:${JIRA_API_TOKEN}`).toString("base64");
-
+async function lookupScheduleTimeZone(scheduleId, requestId, providerName) {
   try {
-    // Step 1: Get on-call participants
-    const onCallUrl = `${JIRA_HOST_URL}/${JIRA_BASE_PATH}/${JIRA_CLOUD_ID}/v1/schedules/${scheduleId}/on-calls?date=${todayISO}`;
+    const schedules = await getSchedules(requestId, providerName);
+    const schedule = schedules.find((s) => s.id === scheduleId) || null;
+    return getScheduleTimeZone(schedule, null, requestId);
+  } catch (error) {
+    dashboard.logger.warning(
+      `Unable to read timezone of schedule ${scheduleId}, using ${DEFAULT_TIME_ZONE}`,
+      { requestId, error: error.message }
+    );
+    return DEFAULT_TIME_ZONE;
+  }
+}
 
-    dashboard.logger.info(`Fetching on-call data from: ${onCallUrl}`, {
+/**
+ * Get user details for an on-call participant
+ *
+ * @param {string} accountId - Jira account ID (or provider user ID) of the
+ *        participant
+ * @param {string} requestId - Request ID for logging
+ * @param {string} [providerName] - On-call provider (defaults to
+ *        ONCALL_PROVIDER)
+ * @returns {Promise<Object|null>} User object, or null if it has no email
+ */
+async function getJiraUser(accountId, requestId, providerName) {
+  const provider = onCallProviders.get(providerName);
+  const key = `${provider.name}|${accountId}`;
+  const cached = getCachedUser(key);
+  if (cached) {
+    dashboard.logger.info(`Using cached Jira user ${cached.displayName}`, {
       requestId,
     });
+    return cached.emailAddress ? cached : null;
+  }
 
-    const onCallResponse = await fetch(onCallUrl, {
-      method: "GET",
-      headers: {
-        Authorization: auth,
-        Accept: "application/json",
-      },
-    });
-
-    if (!onCallResponse.ok) {
-      dashboard.logger.error(`Error response from Jira API`, {
-        requestId,
-        status: onCallResponse.status,
-        statusText: onCallResponse.statusText,
-      });
-      throw new Error(
-        `HTTP error ${onCallResponse.status}: ${onCallResponse.statusText}`
-      );
-    }
+  return inFlight.users.run(flightKey(key), requestId, () =>
+    fetchJiraUser(provider, accountId, requestId)
+  );
+}
 
-    const onCallData = await onCallResponse.json();
+/**
+ * Fetch a user from its provider and add it to the user cache
+ *
+ * @param {Object} provider - On-call provider
+ * @param {string} accountId - User ID of the participant
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<Object|null>} User object, or null if it has no email
+ */
+async function fetchJiraUser(provider, accountId, requestId) {
+  try {
+    const userData = await provider.getUser(accountId, requestId);
 
-    dashboard.logger.info(`On-call data received`, {
+    dashboard.logger.info(`User data received`, {
       requestId,
-      hasParticipants:
-        !!onCallData.onCallParticipants &&
-        onCallData.onCallParticipants.length > 0,
+      hasEmail: !!userData.emailAddress,
+      userName: userData.displayName || "unknown",
     });
 
-    if (
-      !onCallData.onCallParticipants ||
-      onCallData.onCallParticipants.length === 0
-    ) {
+    // Users without an email are cached too, so they are not re-fetched
+    cacheUser(`${provider.name}|${accountId}`, userData);
+
+    if (!userData.emailAddress) {
       dashboard.logger.warning(
-        `No on-call participants found for schedule ${scheduleId}`,
+        `User ${userData.displayName || accountId} has no email address`,
         { requestId }
       );
       return null;
     }
 
-    const participant = onCallData.onCallParticipants[0];
     dashboard.logger.info(
-      `Found on-call participant with ID ${participant.id}`,
+      `Found on-call user: ${userData.displayName} (${userData.emailAddress})`,
       { requestId }
     );
+    return userData;
+  } catch (error) {
+    dashboard.logger.error(`Error getting Jira user`, {
+      requestId,
+      accountId,
+      error: error.message,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Get a cached user and mark it as recently used
+ * Counts a hit or miss for the cache statistics.
+ *
+ * @param {string} key - Provider name and user ID ("jsm|<accountId>")
+ * @returns {Object|null} Cached user, or null on a miss
+ */
+function getCachedUser(key) {
+  const users = cache.users;
+  const entry = users.entries.get(key);
+
+  if (entry && Date.now() < entry.expiry) {
+    // Re-insert so the Map's first key stays the least recently used
+    users.entries.delete(key);
+    users.entries.set(key, entry);
+    users.hits++;
+    publishUserCacheStats();
+    return entry.user;
+  }
 
-    // Step 2: Get user details
-    const userUrl = `https://${JIRA_DOMAIN}/rest/api/3/user?accountId=${participant.id}`;
+  if (entry) users.entries.delete(key);
+  users.misses++;
+  publishUserCacheStats();
+  return null;
+}
 
-    dashboard.logger.info(`Fetching user data from: ${userUrl}`, { requestId });
+/**
+ * Cache the fields of a user that lookups need
+ *
+ * @param {string} key - Provider name and user ID ("jsm|<accountId>")
+ * @param {Object} userData - User payload from the provider
+ */
+function cacheUser(key, userData) {
+  const users = cache.users;
+  users.entries.delete(key);
+  users.entries.set(key, {
+    user: {
+      accountId: userData.accountId || key.slice(key.indexOf("|") + 1),
+      displayName: userData.displayName || null,
+      emailAddress: userData.emailAddress || null,
+    },
+    expiry: Date.now() + config.cache.userTtlMs,
+  });
 
-    const userResponse = await fetch(userUrl, {
-      method: "GET",
-      headers: {
-        Authorization: auth,
-        Accept: "application/json",
-      },
-    });
+  while (users.entries.size > config.cache.userMaxEntries) {
+    users.entries.delete(users.entries.keys().next().value);
+  }
+  publishUserCacheStats();
+}
 
-    if (!userResponse.ok) {
-      dashboard.logger.error(`Error response from Jira User API`, {
-        requestId,
-        status: userResponse.status,
-        statusText: userResponse.statusText,
-      });
+/**
+ * Get Jira user cache statistics
+ *
+ * @returns {Object} size, maxEntries, ttlSeconds, hits, misses and hitRate (%)
+ */
+function getUserCacheStats() {
+  const { entries, hits, misses } = cache.users;
+  return {
+    size: entries.size,
+    maxEntries: config.cache.userMaxEntries,
+    ttlSeconds: config.cache.userTtlMs / 1000,
+    hits,
+    misses,
+    hitRate: hits + misses > 0 ? Math.round((hits / (hits + misses)) * 100) : 0,
+  };
+}
+
+/**
+ * Push the user cache statistics to the dashboard
+ */
+function publishUserCacheStats() {
+  dashboard.setUserCacheStats(getUserCacheStats());
+}
+
+/**
+ * Turn on-call periods into consecutive timeline segments
+ * Where periods overlap, the one with the lowest rank is on call first.
+ *
+ * @param {Array<Object>} periods - Periods ({ id, start, end, rank })
+ * @param {number} start - Start of the range (epoch ms)
+ * @param {number} end - End of the range (epoch ms)
+ * @returns {Array<Object>} Segments ({ participantId, start, end }, epoch ms)
+ */
+function periodsToSegments(periods, start, end) {
+  const spans = periods
+    .map((period) => ({
+      ...period,
+      start: Date.parse(period.start),
+      end: Date.parse(period.end),
+    }))
+    .filter((period) => period.end > start && period.start < end);
+
+  const boundaries = [
+    ...new Set([
+      start,
+      end,
+      ...spans.flatMap((period) => [period.start, period.end]),
+    ]),
+  ]
+    .filter((time) => time >= start && time <= end)
+    .sort((a, b) => a - b);
+
+  const segments = [];
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    const segmentStart = boundaries[i];
+    const segmentEnd = boundaries[i + 1];
+    const onCall = spans
+      .filter((p) => p.start <= segmentStart && p.end > segmentStart)
+      .sort((a, b) => a.rank - b.rank)[0];
+    const participantId = onCall?.id || null;
+
+    const previous = segments[segments.length - 1];
+    if (previous && previous.participantId === participantId) {
+      previous.end = segmentEnd;
+    } else {
+      segments.push({ participantId, start: segmentStart, end: segmentEnd });
+    }
+  }
+  return segments;
+}
+
+/**
+ * Build timeline segments by sampling the on-calls API
+ *
+ * @param {string} scheduleId - ID of the schedule
+ * @param {number} start - Start of the range (epoch ms)
+ * @param {number} end - End of the range (epoch ms)
+ * @param {string} requestId - Request ID for logging
+ * @param {Object} options - Timeline options (see getScheduleTimeline)
+ * @returns {Promise<{segments: Array<Object>, queries: number}>} Segments
+ *          ({ participantId, start, end }, epoch ms) and the number of
+ *          on-calls requests made
+ */
+async function sampleTimeline(scheduleId, start, end, requestId, options) {
+  const stepMs = (options.stepMinutes || 60) * 60 * 1000;
+  const maxQueries = options.maxQueries || 500;
+  const segments = [];
+  let cursor = start;
+  let queries = 0;
+  const timeZone =
+    options.timeZone ||
+    (await lookupScheduleTimeZone(scheduleId, requestId, options.provider));
+
+  while (cursor < end) {
+    if (++queries > maxQueries) {
       throw new Error(
-        `HTTP error ${userResponse.status}: ${userResponse.statusText}`
+        `Timeline for schedule ${scheduleId} needs more than ${maxQueries} on-call queries; narrow the range`
       );
     }
 
-    const userData = await userResponse.json();
-
-    dashboard.logger.info(`User data received`, {
+    const participants = await getOnCallParticipants(
+      scheduleId,
       requestId,
-      hasEmail: !!userData.emailAddress,
-      userName: userData.displayName || "unknown",
-    });
+      new Date(cursor),
+      timeZone,
+      options.provider
+    );
+    const participant = participants[0] || null;
+
+    // Jump to the reported hand-off when it lies ahead, otherwise step
+    const shiftEnd = participant?.shiftEnd
+      ? dayjs(participant.shiftEnd).valueOf()
+      : null;
+    const next = Math.min(
+      shiftEnd && shiftEnd > cursor ? shiftEnd : cursor + stepMs,
+      end
+    );
 
-    if (!userData.emailAddress) {
-      dashboard.logger.warning(
-        `User ${userData.displayName || participant.id} has no email address`,
-        { requestId }
-      );
-      return null;
+    const participantId = participant?.id || null;
+    const previous = segments[segments.length - 1];
+    if (previous && previous.participantId === participantId) {
+      previous.end = next;
+    } else {
+      segments.push({ participantId, start: cursor, end: next });
     }
 
-    dashboard.logger.info(
-      `Found on-call user: ${userData.displayName} (${userData.emailAddress})`,
-      { requestId }
-    );
-    return userData;
-  } catch (error) {
-    dashboard.logger.error(`Error getting on-call user`, {
+    cursor = next;
+  }
+
+  return { segments, queries };
+}
+
+/**
+ * Build an on-call timeline for a schedule over a date range
+ *
+ * Providers that report exact on-call periods (JSM's schedule timeline) are
+ * asked once for the whole range. Otherwise the on-calls API is walked from
+ * `from` to `to`: when a shift end is reported the walk jumps straight to it,
+ * otherwise it steps forward by `stepMinutes`. Adjacent segments with the
+ * same participant are merged, then each participant's email and directory
+ * phone are resolved once.
+ *
+ * @param {string} scheduleId - ID of the schedule
+ * @param {string|Date} from - Start of the range
+ * @param {string|Date} to - End of the range
+ * @param {string} requestId - Request ID for logging
+ * @param {Object} [options] - Timeline options
+ * @param {number} [options.stepMinutes=60] - Step when no shift end is reported
+ * @param {number} [options.maxQueries=500] - Upper bound on on-calls requests
+ * @param {string} [options.timeZone] - Timezone overriding the schedule's
+ * @param {string} [options.provider] - On-call provider (defaults to
+ *        ONCALL_PROVIDER)
+ * @returns {Promise<Array<Object>>} Segments with participantId, start, end,
+ *          displayName, email and phoneNumber
+ */
+async function getScheduleTimeline(
+  scheduleId,
+  from,
+  to,
+  requestId,
+  options = {}
+) {
+  const provider = onCallProviders.get(options.provider);
+  const start = dayjs(from).valueOf();
+  const end = dayjs(to).valueOf();
+
+  dashboard.logger.info(
+    `Building on-call timeline for schedule ${scheduleId}`,
+    {
       requestId,
+      from: dayjs(from).toISOString(),
+      to: dayjs(to).toISOString(),
+    }
+  );
+
+  let segments;
+  let queries = 1;
+  if (provider.getTimeline) {
+    const periods = await provider.getTimeline(
       scheduleId,
-      error: error.message,
-    });
-    throw error;
+      new Date(start).toISOString(),
+      new Date(end).toISOString(),
+      requestId
+    );
+    segments = periodsToSegments(periods, start, end);
+  } else {
+    ({ segments, queries } = await sampleTimeline(
+      scheduleId,
+      start,
+      end,
+      requestId,
+      options
+    ));
   }
+
+  // Resolve each distinct participant once
+  const people = new Map();
+  for (const participantId of new Set(segments.map((s) => s.participantId))) {
+    if (!participantId) continue;
+
+    const person = { displayName: null, email: null, phoneNumber: null };
+    try {
+      const user = await getJiraUser(
+        participantId,
+        requestId,
+        options.provider
+      );
+      person.displayName = user?.displayName || null;
+      person.email = user?.emailAddress || null;
+      if (person.email) {
+        person.phoneNumber = await getPhoneNumberByEmail(
+          person.email,
+          requestId
+        );
+      }
+    } catch (error) {
+      person.error = error.message;
+    }
+    people.set(participantId, person);
+  }
+
+  dashboard.logger.info(`Timeline built for schedule ${scheduleId}`, {
+    requestId,
+    segments: segments.length,
+    queries,
+  });
+
+  return segments.map((segment) => ({
+    participantId: segment.participantId,
+    start: new Date(segment.start).toISOString(),
+    end: new Date(segment.end).toISOString(),
+    ...(people.get(segment.participantId) || {
+      displayName: null,
+      email: null,
+      phoneNumber: null,
+    }),
+  }));
 }
 
 /**
  * Get phone number by email from SQL database
+ * Fails immediately while the SQL circuit is open. Errors are marked
+ * `unavailable`: the directory could not give an answer.
  *
  * @param {string} email - Email address to look up
  * @param {string} requestId - Request ID for logging
  * @returns {Promise<string>} Formatted phone number
  */
-async function getPhoneNumberByEmail(email, requestId) {
-  dashboard.logger.info(`Looking up phone number for email: ${email}`, {
-    requestId,
-  });
+function getPhoneNumberByEmail(email, requestId) {
+  return inFlight.phoneNumbers.run(String(email).toLowerCase(), requestId, () =>
+    sqlBreaker
+      .run(requestId, () => queryPhoneNumberByEmail(email, requestId))
+      .catch((error) => {
+        error.unavailable = true;
+        throw error;
+      })
+  );
+}
 
+/**
+ * Build the SQL connection configuration from config.js
+ *
+ * @param {string} requestId - Request ID for logging
+ * @returns {Object} mssql connection configuration
+ */
+function buildSqlConfig(requestId) {
   // Base SQL connection configuration from config.js
   const sqlConfig = {
     server: config.sql.server,
@@ -433,11 +1479,60 @@ async function getPhoneNumberByEmail(email, requestId) {
     throw new Error("SQL database name is required");
   }
 
-  let pool = null;
+  return sqlConfig;
+}
+
+/**
+ * Get the directory's connection pool, connecting it on first use
+ *
+ * One pool is shared by every lookup and stays open until
+ * closeSqlConnections; a pool that fails to connect is dropped so the next
+ * lookup tries again.
+ *
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<Object>} Connected mssql ConnectionPool
+ */
+function getSqlPool(requestId) {
+  if (!sqlPool) {
+    const pool = new sql.ConnectionPool(buildSqlConfig(requestId));
+    pool.on("error", (error) => {
+      dashboard.logger.error(`SQL connection pool error`, {
+        error: error.message,
+      });
+    });
+    const connecting = pool
+      .connect()
+      .then(() => {
+        dashboard.logger.info(`SQL connection pool established`, {
+          requestId,
+        });
+        return pool;
+      })
+      .catch((error) => {
+        if (sqlPool === connecting) {
+          sqlPool = null;
+        }
+        throw error;
+      });
+    sqlPool = connecting;
+  }
+  return sqlPool;
+}
+
+/**
+ * Query the SQL database for the phone number of an email address
+ *
+ * @param {string} email - Email address to look up
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<string>} Formatted phone number
+ */
+async function queryPhoneNumberByEmail(email, requestId) {
+  dashboard.logger.info(`Looking up phone number for email: ${email}`, {
+    requestId,
+  });
+
   try {
-    // Create connection pool
-    pool = await sql.connect(sqlConfig);
-    dashboard.logger.info(`SQL connection established`, { requestId });
+    const pool = await getSqlPool(requestId);
 
     // Query the database
     const query = `
@@ -483,14 +1578,7 @@ async function getPhoneNumberByEmail(email, requestId) {
       return null;
     }
 
-    // Format the phone number
-    let phoneNumber = record.cellPhone.trim();
-    phoneNumber = phoneNumber.replace(/\D/g, ""); // Remove non-digits
-
-    // If exactly 10 digits, prepend '1' for country code
-    if (phoneNumber.length === 10) {
-      phoneNumber = "1" + phoneNumber;
-    }
+    const phoneNumber = formatPhoneNumber(record.cellPhone);
 
     dashboard.logger.info(`Found phone number for ${email}: ${phoneNumber}`, {
       requestId,
@@ -505,29 +1593,39 @@ async function getPhoneNumberByEmail(email, requestId) {
       error: error.message,
     });
     throw error;
-  } finally {
-    // Always close the connection pool
-    if (pool) {
-      dashboard.logger.info(`Closing SQL connection`, { requestId });
-      await pool.close();
-    }
   }
 }
 
 // Export the client functions
 export default {
-  getTeamOnCallPhoneNumber,
+  resolveTeamOnCall,
+  resolveTeamParticipants,
+  getScheduleParticipants,
   getTeamSchedule,
+  matchTeamSchedule,
   getSchedules,
-  getOnCallUser,
+  getOnCallParticipants,
+  getJiraUser,
+  getScheduleTimeline,
   getPhoneNumberByEmail,
+  formatPhoneNumber,
+  isValidPhoneNumber,
+  parseQueryTime,
+  getScheduleTimeZone,
+  invalidateOnCallCache,
+  getUserCacheStats,
 
   // Expose method to manually clear caches
   clearCaches: () => {
-    cache.schedules.data = null;
-    cache.schedules.expiry = null;
+    onCallProviders.clearCaches();
     cache.phoneData.data = null;
     cache.phoneData.expiry = null;
+    cache.pointInTime.entries.clear();
+    cache.onCall.entries.clear();
+    cache.users.entries.clear();
+    cache.users.hits = 0;
+    cache.users.misses = 0;
+    publishUserCacheStats();
     return true;
   },
 
@@ -549,14 +1647,16 @@ export default {
   // Close all SQL connections for clean shutdown
   closeSqlConnections: async () => {
     try {
-      // In this implementation, we don't need to track connections since
-      // we're already properly closing them in the finally blocks
-      dashboard.logger.info(
-        `SQL connections are automatically closed after each request`
-      );
-
-      // If you change the implementation to maintain persistent connections,
-      // add cleanup code here
+      const pending = sqlPool;
+      sqlPool = null;
+      if (pending) {
+        // A pool that never connected has nothing to close
+        const pool = await pending.catch(() => null);
+        if (pool) {
+          dashboard.logger.info(`Closing SQL connection pool`);
+          await pool.close();
+        }
+      }
       return true;
     } catch (error) {
       dashboard.logger.error(`Error during SQL connection cleanup`, {
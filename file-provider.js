@@ -0,0 +1,345 @@
+/**
+ * file-provider.js
+ *
+ * On-call provider that reads rotations from a local YAML or JSON file
+ * (ONCALL_FILE). Lets teams that are not in JSM yet use the middleware, and
+ * works offline for testing. The file is re-read when it changes; a file that
+ * fails to parse or validate is rejected and the last good copy stays in use.
+ *
+ *   schedules:
+ *     - id: storage
+ *       name: Storage-schedule
+ *       timezone: America/Chicago
+ *       rotations:                    # first rotation ranks first
+ *         - name: primary
+ *           type: weekly              # weekly or daily
+ *           length: 1                 # weeks (or days) per turn
+ *           start: "2026-01-05 09:00" # first hand-off, schedule timezone
+ *           participants: [alice, bob]
+ *       shifts:                       # explicit shifts rank above rotations
+ *         - user: carol
+ *           start: "2026-12-24 17:00"
+ *           end: "2026-12-26 09:00"
+ *   users:
+ *     alice: { name: Alice Smith, email: alice@example.com }
+ */
+
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+import config from "./config.js";
+import dashboard from "./console-dashboard.js";
+import businessHours from "./business-hours.js";
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+import timezone from "dayjs/plugin/timezone.js";
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const NAME = "file";
+
+const ROTATION_UNITS = { daily: "day", weekly: "week" };
+
+// Wall-clock format used to step rotations across DST changes
+const WALL_CLOCK = "YYYY-MM-DDTHH:mm:ss";
+
+// Last good copy of the file: { filePath, mtimeMs, schedules, users }
+let loaded = null;
+
+/**
+ * Parse a time from the file
+ * Times without an offset are read in the schedule's timezone.
+ *
+ * @param {string|Date} value - Time from the file
+ * @param {string} timeZone - Schedule timezone
+ * @returns {dayjs.Dayjs|null} Parsed time, or null if invalid
+ */
+function parseTime(value, timeZone) {
+  if (value instanceof Date) {
+    return dayjs(value);
+  }
+  const text = String(value).trim();
+  const parsed = /(Z|[+-]\d{2}:?\d{2})$/i.test(text)
+    ? dayjs(text)
+    : dayjs.tz(text.replace(" ", "T"), timeZone);
+  return parsed.isValid() ? parsed : null;
+}
+
+/**
+ * Validate and normalize one schedule
+ *
+ * @param {Object} entry - Schedule from the file
+ * @param {Map<string, Object>} users - Known users
+ * @returns {Object} Schedule with parsed rotations and shifts
+ * @throws {Error} If the schedule is incomplete or malformed
+ */
+function normalizeSchedule(entry, users) {
+  if (!entry?.id) {
+    throw new Error(`Every schedule needs an "id"`);
+  }
+  const id = String(entry.id);
+  const timeZone = entry.timezone || config.businessHours.timeZone;
+  if (!businessHours.isValidTimeZone(timeZone)) {
+    throw new Error(`Schedule "${id}" has unknown timezone "${timeZone}"`);
+  }
+
+  const checkUser = (user, where) => {
+    if (!users.has(String(user))) {
+      throw new Error(`Schedule "${id}" ${where} names unknown user "${user}"`);
+    }
+  };
+
+  const rotations = (entry.rotations || []).map((rotation, index) => {
+    const where = `rotation ${index + 1}`;
+    const unit = ROTATION_UNITS[rotation.type || "weekly"];
+    if (!unit) {
+      throw new Error(
+        `Schedule "${id}" ${where} has unknown type "${rotation.type}" (use weekly or daily)`
+      );
+    }
+    const length = rotation.length ?? 1;
+    if (!Number.isInteger(length) || length < 1) {
+      throw new Error(`Schedule "${id}" ${where} length must be 1 or more`);
+    }
+    const start = parseTime(rotation.start, timeZone);
+    if (!start) {
+      throw new Error(`Schedule "${id}" ${where} has invalid start`);
+    }
+    if (
+      !Array.isArray(rotation.participants) ||
+      !rotation.participants.length
+    ) {
+      throw new Error(`Schedule "${id}" ${where} needs participants`);
+    }
+    rotation.participants.forEach((user) => checkUser(user, where));
+
+    return {
+      name: rotation.name || where,
+      unit,
+      length,
+      start: start.tz(timeZone).format(WALL_CLOCK),
+      participants: rotation.participants.map(String),
+    };
+  });
+
+  const shifts = (entry.shifts || []).map((shift, index) => {
+    const where = `shift ${index + 1}`;
+    checkUser(shift.user, where);
+    const start = parseTime(shift.start, timeZone);
+    const end = parseTime(shift.end, timeZone);
+    if (!start || !end || !end.isAfter(start)) {
+      throw new Error(`Schedule "${id}" ${where} needs a start before its end`);
+    }
+    return { user: String(shift.user), start, end };
+  });
+
+  if (!rotations.length && !shifts.length) {
+    throw new Error(`Schedule "${id}" needs rotations or shifts`);
+  }
+
+  return {
+    id,
+    name: entry.name || id,
+    timezone: timeZone,
+    rotations,
+    shifts,
+  };
+}
+
+/**
+ * Load the schedule file, re-reading it only when it changed on disk
+ *
+ * @returns {{schedules: Map<string, Object>, users: Map<string, Object>}}
+ * @throws {Error} If the file has never loaded successfully
+ */
+function load() {
+  const filePath = path.resolve(config.oncall.file);
+
+  try {
+    const { mtimeMs } = fs.statSync(filePath);
+    if (loaded?.filePath === filePath && loaded.mtimeMs === mtimeMs) {
+      return loaded;
+    }
+
+    const text = fs.readFileSync(filePath, "utf8");
+    const ext = path.extname(filePath).toLowerCase();
+    const document =
+      (ext === ".yaml" || ext === ".yml"
+        ? YAML.parse(text)
+        : JSON.parse(text)) || {};
+
+    const users = new Map(
+      Object.entries(document.users || {}).map(([id, user]) => [
+        String(id),
+        {
+          accountId: String(id),
+          displayName: user?.name || String(id),
+          emailAddress: user?.email || null,
+        },
+      ])
+    );
+    const schedules = new Map();
+    (document.schedules || []).forEach((entry) => {
+      const schedule = normalizeSchedule(entry, users);
+      if (schedules.has(schedule.id)) {
+        throw new Error(`Duplicate schedule id "${schedule.id}"`);
+      }
+      schedules.set(schedule.id, schedule);
+    });
+
+    loaded = { filePath, mtimeMs, schedules, users };
+    dashboard.logger.info(`Loaded on-call schedule file`, {
+      file: filePath,
+      schedules: schedules.size,
+      users: users.size,
+    });
+    return loaded;
+  } catch (error) {
+    dashboard.logger.error(`Failed to load on-call schedule file`, {
+      file: filePath,
+      error: error.message,
+    });
+    // Keep using the last good copy if there is one
+    if (loaded?.filePath === filePath) {
+      return loaded;
+    }
+    throw new Error(`On-call schedule file unavailable: ${error.message}`);
+  }
+}
+
+/**
+ * Find whose turn it is in a rotation
+ * Hand-offs follow the wall clock of the schedule's timezone, so a 09:00
+ * hand-off stays at 09:00 across DST changes.
+ *
+ * @param {Object} rotation - Normalized rotation
+ * @param {dayjs.Dayjs} at - Point in time
+ * @param {string} timeZone - Schedule timezone
+ * @returns {{user: string, end: dayjs.Dayjs}|null} Current turn, or null
+ *          before the rotation starts
+ */
+function currentTurn(rotation, at, timeZone) {
+  const boundary = (turn) =>
+    dayjs.tz(
+      dayjs
+        .utc(rotation.start)
+        .add(turn * rotation.length, rotation.unit)
+        .format(WALL_CLOCK),
+      timeZone
+    );
+
+  if (at.isBefore(boundary(0))) {
+    return null;
+  }
+
+  // Estimate from elapsed time, then correct for DST shifts
+  let turn = Math.floor(
+    at.diff(boundary(0), rotation.unit, true) / rotation.length
+  );
+  while (boundary(turn).isAfter(at)) turn--;
+  while (!boundary(turn + 1).isAfter(at)) turn++;
+
+  return {
+    user: rotation.participants[turn % rotation.participants.length],
+    end: boundary(turn + 1),
+  };
+}
+
+/**
+ * List the schedules defined in the file
+ *
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<Array<Object>>} Schedules (id, name, timezone, provider)
+ */
+async function listSchedules(requestId) {
+  const { schedules } = load();
+  dashboard.logger.info(`Read ${schedules.size} schedules from file`, {
+    requestId,
+  });
+  return [...schedules.values()].map((schedule) => ({
+    id: schedule.id,
+    name: schedule.name,
+    timezone: schedule.timezone,
+    provider: NAME,
+  }));
+}
+
+/**
+ * Get the on-call participants of a schedule at a point in time
+ * Explicit shifts come first (in file order), then the current person of
+ * each rotation. Every participant's `shiftEnd` is capped at the start of the
+ * next explicit shift, since that changes the answer too.
+ *
+ * @param {string} scheduleId - ID of the schedule
+ * @param {string} at - ISO timestamp
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<Array<Object>>} Participants, each with `shiftEnd`,
+ *          `rotation` (null for shifts) and `override` (true for shifts)
+ */
+async function getOnCall(scheduleId, at, requestId) {
+  const schedule = load().schedules.get(scheduleId);
+  if (!schedule) {
+    throw new Error(`Unknown schedule "${scheduleId}" in on-call file`);
+  }
+
+  const time = dayjs(at);
+  const nextShiftStart = schedule.shifts
+    .filter((shift) => shift.start.isAfter(time))
+    .reduce(
+      (earliest, shift) =>
+        !earliest || shift.start.isBefore(earliest) ? shift.start : earliest,
+      null
+    );
+  const capEnd = (end) =>
+    nextShiftStart && nextShiftStart.isBefore(end) ? nextShiftStart : end;
+
+  const participants = [];
+  const add = (user, end, rotation) => {
+    if (!participants.some((participant) => participant.id === user)) {
+      participants.push({
+        id: user,
+        type: "user",
+        rotation,
+        override: !rotation,
+        shiftEnd: capEnd(end).toISOString(),
+      });
+    }
+  };
+
+  schedule.shifts
+    .filter((shift) => !shift.start.isAfter(time) && shift.end.isAfter(time))
+    .forEach((shift) => add(shift.user, shift.end, null));
+  schedule.rotations.forEach((rotation) => {
+    const turn = currentTurn(rotation, time, schedule.timezone);
+    if (turn) add(turn.user, turn.end, rotation.name);
+  });
+
+  dashboard.logger.info(`Resolved on-call from file for ${schedule.name}`, {
+    requestId,
+    participants: participants.map((participant) => participant.id),
+  });
+  return participants;
+}
+
+/**
+ * Get a user defined in the file
+ *
+ * @param {string} id - User ID from the file
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<Object>} User (displayName, emailAddress)
+ */
+async function getUser(id, requestId) {
+  const user = load().users.get(id);
+  if (!user) {
+    throw new Error(`Unknown user "${id}" in on-call file`);
+  }
+  return user;
+}
+
+export default {
+  name: NAME,
+  listSchedules,
+  getOnCall,
+  getUser,
+};
@@ -0,0 +1,349 @@
+/**
+ * jira-client.js
+ *
+ * Shared HTTP client for all Jira traffic (JSM Ops schedules/on-calls and the
+ * Jira platform user API). Every call gets a timeout and is labelled with the
+ * request ID in logs. Transient failures (network errors, timeouts and 5xx
+ * responses) are retried with jittered exponential backoff, and 429 responses
+ * wait for the server's Retry-After before retrying. A 401 reloads the
+ * credentials (see jira-credentials.js) and retries once if they changed.
+ *
+ * All calls share one circuit breaker: once Jira keeps failing, calls fail
+ * immediately until a trial call succeeds.
+ *
+ * Calls on the live call path give up after JIRA_LIVE_DEADLINE_MS across all
+ * attempts, so a caller is not kept waiting while Jira struggles; only
+ * background refreshes (see runInBackground) use the full retry policy.
+ */
+
+import { AsyncLocalStorage } from "async_hooks";
+import fetch from "node-fetch";
+import config from "./config.js";
+import dashboard from "./console-dashboard.js";
+import jiraCredentials from "./jira-credentials.js";
+import circuitBreaker from "./circuit-breaker.js";
+
+// Statuses worth retrying; other 4xx responses will not change on retry
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+// Safety limit for paginated listings
+const MAX_PAGES = 100;
+
+// Only failures that suggest Jira is unavailable count against the circuit;
+// other 4xx responses (and rate limiting) mean Jira is answering
+const breaker = circuitBreaker.create("Jira", {
+  ...config.circuitBreakers.jira,
+  isFailure: (error) => !error.status || error.status >= 500,
+});
+
+// Set while a background refresh runs, for every Jira call it makes
+const backgroundContext = new AsyncLocalStorage();
+
+/**
+ * Run a background task whose Jira calls may use the full retry policy
+ * instead of the live deadline
+ *
+ * @param {function(): Promise<*>} fn - Background task
+ * @returns {Promise<*>} Result of the task
+ */
+function runInBackground(fn) {
+  return backgroundContext.run(true, fn);
+}
+
+/**
+ * Check whether the caller runs inside runInBackground
+ *
+ * Lookups shared between callers (single-flight) include this in their key,
+ * so a live call never waits out a background call's full retry policy.
+ *
+ * @returns {boolean} True for background refreshes, false on the live path
+ */
+function isBackground() {
+  return backgroundContext.getStore() === true;
+}
+
+/**
+ * Build a JSM Ops API URL (schedules, on-calls)
+ *
+ * @param {string} path - Path below the cloud ID (e.g. "v1/schedules")
+ * @returns {string} Absolute URL
+ */
+function opsUrl(path) {
+  const { hostUrl, basePath, cloudId } = config.jira;
+  if (!hostUrl || !basePath || !cloudId) {
+    throw new Error("Incomplete Jira API configuration");
+  }
+  return `${hostUrl}/${basePath}/${cloudId}/${path}`;
+}
+
+/**
+ * Build a Jira platform REST API URL (users)
+ * OAuth 2.0 tokens are only accepted through the API gateway
+ * (`<JIRA_HOST_URL>/ex/jira/<cloudId>/...`); Basic auth uses the site itself.
+ *
+ * @param {string} path - Path below the site (e.g. "rest/api/3/user")
+ * @returns {string} Absolute URL
+ */
+function platformUrl(path) {
+  if (config.jira.authMode === "oauth") {
+    const { hostUrl, cloudId } = config.jira;
+    if (!hostUrl || !cloudId) {
+      throw new Error("Incomplete Jira API configuration");
+    }
+    return `${hostUrl}/ex/jira/${cloudId}/${path}`;
+  }
+
+  if (!config.jira.domain) {
+    throw new Error("JIRA_DOMAIN is not configured");
+  }
+  return `https://${config.jira.domain}/${path}`;
+}
+
+/**
+ * Compute the delay before a retry
+ * Uses "full jitter": a random delay up to the exponential backoff ceiling,
+ * so concurrent callers do not retry in lockstep.
+ *
+ * @param {number} attempt - Retry number (1 for the first retry)
+ * @returns {number} Delay in milliseconds
+ */
+function backoffDelay(attempt) {
+  const ceiling = Math.min(
+    config.jira.retryMaxDelayMs,
+    config.jira.retryBaseDelayMs * 2 ** (attempt - 1)
+  );
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date)
+ *
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Wait for a number of milliseconds
+ *
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Send a single GET request
+ * Responses other than 2xx are thrown as errors carrying `status` (and
+ * `retryAfter` for 429s).
+ *
+ * @param {string} url - Absolute URL
+ * @param {string} authHeader - Authorization header value
+ * @param {number} timeoutMs - Timeout for the request
+ * @returns {Promise<Object>} Parsed response body
+ */
+async function sendRequest(url, authHeader, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, {
+      method: "GET",
+      headers: {
+        Authorization: authHeader,
+        Accept: "application/json",
+      },
+      signal: controller.signal,
+    });
+
+    if (response.ok) {
+      return await response.json();
+    }
+
+    const error = new Error(
+      `HTTP error ${response.status}: ${response.statusText}`
+    );
+    error.status = response.status;
+    if (response.status === 429) {
+      error.retryAfter = parseRetryAfter(response.headers.get("retry-after"));
+    }
+    throw error;
+  } catch (error) {
+    throw error.name === "AbortError"
+      ? new Error(`Timed out after ${timeoutMs}ms`)
+      : error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Send a GET request to Jira and parse the JSON response
+ *
+ * Errors carry `status` (HTTP status, if any), `attempts` and `unavailable`
+ * (Jira could not give an answer: no response, 429, 5xx or an open circuit);
+ * calls rejected by the open circuit have code `CIRCUIT_OPEN` and are not
+ * retried.
+ *
+ * @param {string} url - Absolute URL (see opsUrl/platformUrl)
+ * @param {Object} [options] - Request options
+ * @param {string} [options.requestId] - Request ID for logging
+ * @param {string} [options.label] - Short description of the call for logs
+ * @param {number} [options.timeoutMs] - Per-attempt timeout
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @param {number} [options.deadlineMs] - Total time for all attempts
+ *        (defaults to JIRA_LIVE_DEADLINE_MS, none in background refreshes)
+ * @returns {Promise<Object>} Parsed response body
+ */
+async function getJson(url, options = {}) {
+  const requestId = options.requestId;
+  const label = options.label || "Jira request";
+  const retries = options.retries ?? config.jira.maxRetries;
+  const deadlineMs =
+    options.deadlineMs ?? (isBackground() ? 0 : config.jira.liveDeadlineMs);
+  const deadline = deadlineMs > 0 ? Date.now() + deadlineMs : Infinity;
+  let reauthenticated = false;
+
+  for (let attempt = 0; ; attempt++) {
+    // Stays null if the credentials could not be obtained, e.g. when the
+    // OAuth token endpoint fails; that is retried like a failed request
+    let authHeader = null;
+    let error;
+
+    // No attempt may run past the deadline
+    const timeoutMs = Math.max(
+      1,
+      Math.min(
+        options.timeoutMs ?? config.jira.timeoutMs,
+        deadline - Date.now()
+      )
+    );
+
+    try {
+      return await breaker.run(requestId, async () => {
+        authHeader = await jiraCredentials.getAuthHeader(requestId);
+        return sendRequest(url, authHeader, timeoutMs);
+      });
+    } catch (requestError) {
+      error = requestError;
+    }
+
+    error.attempts = attempt + 1;
+    error.unavailable =
+      error.code === "CIRCUIT_OPEN" ||
+      !error.status ||
+      error.status === 429 ||
+      error.status >= 500;
+
+    // Rotated credentials get one more try that does not count as a retry
+    if (error.status === 401 && authHeader && !reauthenticated) {
+      reauthenticated = true;
+      if (await jiraCredentials.handleUnauthorized(authHeader, requestId)) {
+        attempt--;
+        continue;
+      }
+    }
+
+    const retryAfter = error.retryAfter ?? null;
+    const retryable =
+      error.code !== "CIRCUIT_OPEN" &&
+      (!error.status || RETRYABLE_STATUSES.has(error.status));
+    const delay = retryAfter ?? backoffDelay(attempt + 1);
+    const pastDeadline = Date.now() + delay >= deadline;
+
+    // Never wait longer than the configured cap for a Retry-After, or for a
+    // retry that would start after the deadline
+    if (
+      !retryable ||
+      attempt >= retries ||
+      (retryAfter !== null && retryAfter > config.jira.maxRetryAfterMs) ||
+      pastDeadline
+    ) {
+      dashboard.logger.error(`${label} failed`, {
+        requestId,
+        status: error.status,
+        attempts: error.attempts,
+        error: error.message,
+        ...(retryable && pastDeadline && { deadlineMs }),
+      });
+      throw error;
+    }
+
+    dashboard.logger.warning(`${label} failed, retrying in ${delay}ms`, {
+      requestId,
+      status: error.status,
+      attempt: attempt + 1,
+      error: error.message,
+      ...(retryAfter !== null && { retryAfter: true }),
+    });
+    await sleep(delay);
+  }
+}
+
+/**
+ * Collect every page of a paginated Jira listing
+ *
+ * Follows `next` (or `links.next`) when the API provides it, otherwise
+ * advances `startAt` by the page size until `isLast` is true or a page comes
+ * back empty.
+ *
+ * @param {string} url - Absolute URL of the first page
+ * @param {Object} [options] - Request options (see getJson)
+ * @returns {Promise<{values: Array<Object>, pages: number}>} All values and
+ *          the number of pages read
+ */
+async function getAllPages(url, options = {}) {
+  const values = [];
+  let pageUrl = url;
+  let pages = 0;
+
+  while (pageUrl) {
+    if (++pages > MAX_PAGES) {
+      throw new Error(`Jira listing exceeded ${MAX_PAGES} pages`);
+    }
+
+    const data = await getJson(pageUrl, options);
+    if (!Array.isArray(data.values)) {
+      throw new Error("Invalid response format from Jira API");
+    }
+    values.push(...data.values);
+
+    const next = data.next || data.links?.next;
+    if (data.isLast === true || data.values.length === 0) {
+      pageUrl = null;
+    } else if (next) {
+      pageUrl = new URL(next, pageUrl).toString();
+    } else if (data.isLast === false) {
+      const nextUrl = new URL(pageUrl);
+      nextUrl.searchParams.set(
+        "startAt",
+        String((data.startAt || 0) + data.values.length)
+      );
+      pageUrl = nextUrl.toString();
+    } else {
+      pageUrl = null;
+    }
+  }
+
+  return { values, pages };
+}
+
+export default {
+  getJson,
+  getAllPages,
+  runInBackground,
+  isBackground,
+  opsUrl,
+  platformUrl,
+};
@@ -0,0 +1,346 @@
+/**
+ * jira-credentials.js
+ *
+ * Supplies the Authorization header for Jira requests. Two providers are
+ * supported, selected with JIRA_AUTH_MODE:
+ *
+ * - basic: username + API token
+ * - oauth: OAuth 2.0 bearer tokens, using the refresh_token grant (3LO) when a
+ *   refresh token is configured and client_credentials otherwise. Access
+ *   tokens are refreshed shortly before they expire.
+ *
+ * Every secret can come from a file (`*_FILE`, e.g. a mounted Kubernetes or
+ * Docker secret) instead of the environment. Credentials are re-read on SIGHUP
+ * and when Jira answers 401, so tokens can be rotated without a restart.
+ *
+ * Atlassian rotates the refresh token on every refresh and the old one stops
+ * working, so a rotated token is written back to JIRA_OAUTH_REFRESH_TOKEN_FILE.
+ * A token set only in the environment cannot survive a restart.
+ */
+
+import fs from "fs";
+import fetch from "node-fetch";
+import config from "./config.js";
+import dashboard from "./console-dashboard.js";
+import singleFlight from "./single-flight.js";
+
+// Refresh OAuth access tokens this long before Jira would reject them
+const TOKEN_REFRESH_MARGIN_MS = 60 * 1000;
+
+// Token lifetime assumed when the token endpoint does not report one
+const DEFAULT_TOKEN_LIFETIME_MS = 60 * 60 * 1000;
+
+const state = {
+  // Basic auth header, built from the current secrets
+  basicHeader: null,
+  oauth: {
+    accessToken: null,
+    expiresAt: 0,
+    // Current refresh token; Atlassian rotates it on every refresh
+    refreshToken: null,
+    // Refresh token as last read from the environment or file, so a reload
+    // only replaces the rotated token when the configured one has changed
+    configuredRefreshToken: null,
+  },
+  loaded: false,
+  listening: false,
+};
+
+const tokenRequests = singleFlight.create("OAuth token");
+
+/**
+ * Read a secret from its file if one is configured, otherwise use the value
+ * from the environment
+ *
+ * @param {string|undefined} value - Value from the environment
+ * @param {string|undefined} file - Path of a file holding the secret
+ * @param {string} name - Environment variable name (for errors)
+ * @returns {string|null} Secret, or null if not configured
+ */
+function readSecret(value, file, name) {
+  if (!file) {
+    return value || null;
+  }
+
+  try {
+    return fs.readFileSync(file, "utf8").trim() || null;
+  } catch (error) {
+    throw new Error(`Unable to read ${name}_FILE (${file}): ${error.message}`);
+  }
+}
+
+/**
+ * (Re-)read all configured secrets
+ * A cached OAuth access token is discarded so the next request fetches one
+ * with the new secrets.
+ */
+function loadSecrets() {
+  if (config.jira.authMode === "oauth") {
+    const { oauth } = config.jira;
+    const configured = readSecret(
+      oauth.refreshToken,
+      oauth.refreshTokenFile,
+      "JIRA_OAUTH_REFRESH_TOKEN"
+    );
+    if (configured !== state.oauth.configuredRefreshToken) {
+      state.oauth.refreshToken = configured;
+      state.oauth.configuredRefreshToken = configured;
+    }
+    state.oauth.accessToken = null;
+    state.oauth.expiresAt = 0;
+  } else {
+    const username = readSecret(
+      config.jira.username,
+      config.jira.usernameFile,
+      "JIRA_USERNAME"
+    );
+    const apiToken = readSecret(
+      config.jira.apiToken,
+      config.jira.apiTokenFile,
+      "JIRA_API_TOKEN"
+    );
+    if (!username || !apiToken) {
+      throw new Error("Incomplete Jira API configuration");
+    }
+    state.basicHeader =
+      "Basic " + Buffer.from(`${username}:${apiToken}`).toString("base64");
+  }
+
+  state.loaded = true;
+}
+
+/**
+ * Request a new OAuth access token
+ *
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<void>}
+ */
+async function fetchAccessToken(requestId) {
+  const { oauth } = config.jira;
+  const clientSecret = readSecret(
+    oauth.clientSecret,
+    oauth.clientSecretFile,
+    "JIRA_OAUTH_CLIENT_SECRET"
+  );
+  if (!oauth.clientId || !clientSecret) {
+    throw new Error("Incomplete Jira OAuth configuration");
+  }
+
+  const grantType = state.oauth.refreshToken
+    ? "refresh_token"
+    : "client_credentials";
+  const body = {
+    grant_type: grantType,
+    client_id: oauth.clientId,
+    client_secret: clientSecret,
+    ...(state.oauth.refreshToken && {
+      refresh_token: state.oauth.refreshToken,
+    }),
+  };
+
+  dashboard.logger.info(`Requesting Jira OAuth access token`, {
+    requestId,
+    grantType,
+  });
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), config.jira.timeoutMs);
+  let response;
+  try {
+    response = await fetch(oauth.tokenUrl, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json",
+      },
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    });
+  } catch (error) {
+    throw error.name === "AbortError"
+      ? new Error(
+          `OAuth token request timed out after ${config.jira.timeoutMs}ms`
+        )
+      : error;
+  } finally {
+    clearTimeout(timer);
+  }
+
+  if (!response.ok) {
+    const error = new Error(
+      `OAuth token request failed: HTTP error ${response.status}: ${response.statusText}`
+    );
+    error.status = response.status;
+    throw error;
+  }
+
+  const data = await response.json();
+  if (!data.access_token) {
+    throw new Error("OAuth token response has no access_token");
+  }
+
+  const lifetimeMs = data.expires_in
+    ? data.expires_in * 1000
+    : DEFAULT_TOKEN_LIFETIME_MS;
+  state.oauth.accessToken = data.access_token;
+  state.oauth.expiresAt = Date.now() + lifetimeMs;
+  if (data.refresh_token && data.refresh_token !== state.oauth.refreshToken) {
+    state.oauth.refreshToken = data.refresh_token;
+    saveRefreshToken(data.refresh_token, requestId);
+  }
+
+  dashboard.logger.success(`Jira OAuth access token refreshed`, {
+    requestId,
+    grantType,
+    expiresInSeconds: Math.round(lifetimeMs / 1000),
+  });
+}
+
+/**
+ * Write a rotated refresh token back to its file, so it is still valid after
+ * a restart
+ *
+ * @param {string} refreshToken - Refresh token returned by the token endpoint
+ * @param {string} requestId - Request ID for logging
+ */
+function saveRefreshToken(refreshToken, requestId) {
+  const file = config.jira.oauth.refreshTokenFile;
+  if (!file) {
+    dashboard.logger.warning(
+      `Rotated Jira refresh token is kept in memory only; set JIRA_OAUTH_REFRESH_TOKEN_FILE so it survives a restart`,
+      { requestId }
+    );
+    return;
+  }
+
+  try {
+    const tempPath = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, refreshToken + "\n", { mode: 0o600 });
+    fs.renameSync(tempPath, file);
+    // The file now holds the current token, so a reload keeps using it
+    state.oauth.configuredRefreshToken = refreshToken;
+    dashboard.logger.info(`Saved rotated Jira refresh token`, {
+      requestId,
+      file,
+    });
+  } catch (error) {
+    dashboard.logger.error(`Unable to save rotated Jira refresh token`, {
+      requestId,
+      file,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Get the Authorization header for a Jira request
+ *
+ * @param {string} [requestId] - Request ID for logging
+ * @returns {Promise<string>} Authorization header value
+ */
+async function getAuthHeader(requestId) {
+  if (!state.loaded) {
+    loadSecrets();
+  }
+
+  if (config.jira.authMode !== "oauth") {
+    return state.basicHeader;
+  }
+
+  if (
+    !state.oauth.accessToken ||
+    Date.now() >= state.oauth.expiresAt - TOKEN_REFRESH_MARGIN_MS
+  ) {
+    // Concurrent requests wait for one token refresh
+    await tokenRequests.run("token", requestId, () =>
+      fetchAccessToken(requestId)
+    );
+  }
+
+  return `Bearer ${state.oauth.accessToken}`;
+}
+
+/**
+ * Re-read the credentials and drop any cached access token
+ *
+ * @param {string} reason - Why the credentials are reloaded (for logs)
+ * @returns {boolean} True if the credentials could be read
+ */
+function reload(reason) {
+  try {
+    loadSecrets();
+    dashboard.logger.info(`Jira credentials reloaded (${reason})`, {
+      authMode: config.jira.authMode,
+    });
+    return true;
+  } catch (error) {
+    dashboard.logger.error(`Failed to reload Jira credentials (${reason})`, {
+      error: error.message,
+    });
+    return false;
+  }
+}
+
+/**
+ * Handle a 401 from Jira
+ *
+ * If the credentials already changed since the rejected request was sent, the
+ * request can simply be retried. Otherwise the credentials are re-read; the
+ * request is only worth retrying if that produced a different header.
+ *
+ * @param {string} rejectedHeader - Authorization header Jira rejected
+ * @param {string} [requestId] - Request ID for logging
+ * @returns {Promise<boolean>} True if the request should be retried
+ */
+async function handleUnauthorized(rejectedHeader, requestId) {
+  const current = cachedHeader();
+  if (current && current !== rejectedHeader) {
+    return true;
+  }
+
+  dashboard.logger.warning(`Jira rejected credentials, reloading`, {
+    requestId,
+    authMode: config.jira.authMode,
+  });
+  if (!reload("401")) {
+    return false;
+  }
+
+  try {
+    return (await getAuthHeader(requestId)) !== rejectedHeader;
+  } catch (error) {
+    dashboard.logger.error(`Unable to get new Jira credentials`, {
+      requestId,
+      error: error.message,
+    });
+    return false;
+  }
+}
+
+/**
+ * Get the header that would be sent now, without fetching a token
+ *
+ * @returns {string|null} Authorization header value, or null if none is cached
+ */
+function cachedHeader() {
+  if (config.jira.authMode !== "oauth") {
+    return state.basicHeader;
+  }
+  return state.oauth.accessToken ? `Bearer ${state.oauth.accessToken}` : null;
+}
+
+/**
+ * Reload the credentials whenever the process receives SIGHUP
+ */
+function listen() {
+  if (state.listening) return;
+  state.listening = true;
+  process.on("SIGHUP", () => reload("SIGHUP"));
+}
+
+export default {
+  getAuthHeader,
+  handleUnauthorized,
+  reload,
+  listen,
+};
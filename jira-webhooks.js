@@ -0,0 +1,215 @@
+/**
+ * jira-webhooks.js
+ *
+ * Handles JSM Ops webhook events for schedule, rotation and override changes.
+ * An event only drops the cached answers of the schedule it names, so a swap
+ * made in JSM is picked up straight away instead of when the caches expire.
+ *
+ * Events are authenticated with JIRA_WEBHOOK_SECRET, sent either as an HMAC
+ * signature of the body (`X-Hub-Signature: sha256=<hex>`, as Jira does for
+ * webhooks with a secret) or as the secret itself in `X-Webhook-Secret`.
+ */
+
+import crypto from "crypto";
+import config from "./config.js";
+import dashboard from "./console-dashboard.js";
+import directClient from "./direct-client.js";
+import lastKnownGood from "./last-known-good.js";
+import onCallProviders from "./oncall-providers.js";
+import prewarm from "./prewarm.js";
+
+// Events about anything else are acknowledged and ignored
+const RELEVANT_EVENT = /schedule|rotation|override|on-?call/i;
+
+// Events that only touch a schedule's rotations or overrides leave the
+// schedule list unchanged
+const LIST_UNCHANGED_EVENT = /rotation|override|on-?call/i;
+
+/**
+ * Compare two strings in constant time
+ *
+ * @param {string} supplied - Value from the request
+ * @param {string} expected - Expected value
+ * @returns {boolean} True if both are equal
+ */
+function safeEqual(supplied, expected) {
+  const a = Buffer.from(supplied);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Check that a webhook request carries the shared secret or a valid signature
+ *
+ * @param {Object} headers - Request headers (lower-case names)
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @returns {string|null} How the request was verified ("signature" or
+ *          "secret"), or null if it was not
+ */
+function verify(headers, rawBody) {
+  const secret = config.webhooks.secret;
+
+  const signature = headers["x-hub-signature"];
+  if (signature) {
+    const expected =
+      "sha256=" +
+      crypto
+        .createHmac("sha256", secret)
+        .update(rawBody || "")
+        .digest("hex");
+    return safeEqual(signature.toLowerCase(), expected) ? "signature" : null;
+  }
+
+  const supplied = headers["x-webhook-secret"];
+  if (supplied) {
+    return safeEqual(supplied, secret) ? "secret" : null;
+  }
+
+  return null;
+}
+
+/**
+ * Read the event type and affected schedules from a webhook payload
+ * JSM Ops payloads name the schedule at the top level, under `data`, or on
+ * the rotation or override that changed.
+ *
+ * @param {Object} body - Parsed payload
+ * @returns {{type: string, scheduleIds: Array<string>,
+ *          scheduleNames: Array<string>}} Event details
+ */
+function parseEvent(body) {
+  const type = String(
+    body.webhookEvent || body.eventType || body.action || body.type || "unknown"
+  );
+
+  const ids = new Set();
+  const names = new Set();
+  for (const source of [body, body.data, body.payload]) {
+    if (!source || typeof source !== "object") continue;
+    for (const item of [source, source.rotation, source.override]) {
+      if (item?.scheduleId) ids.add(String(item.scheduleId));
+      if (item?.scheduleName) names.add(String(item.scheduleName));
+    }
+    if (source.schedule?.id) ids.add(String(source.schedule.id));
+    if (source.schedule?.name) names.add(String(source.schedule.name));
+  }
+
+  return { type, scheduleIds: [...ids], scheduleNames: [...names] };
+}
+
+/**
+ * Look up the IDs of schedules the payload only names
+ *
+ * @param {Array<string>} names - Schedule names
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<Array<string>>} IDs of the schedules that were found
+ */
+async function findScheduleIds(names, requestId) {
+  if (!names.length) return [];
+
+  try {
+    const schedules = await directClient.getSchedules(requestId, "jsm");
+    return schedules
+      .filter((schedule) => names.includes(schedule.name))
+      .map((schedule) => schedule.id);
+  } catch (error) {
+    dashboard.logger.warning(`Unable to look up webhook schedule names`, {
+      requestId,
+      names,
+      error: error.message,
+    });
+    return [];
+  }
+}
+
+/**
+ * Apply a webhook event to the caches
+ *
+ * Cached on-call answers and last known good answers of the affected
+ * schedules are dropped and teams answered from them are refreshed in the
+ * background. Schedule-level events (created, renamed, deleted) also drop the
+ * cached schedule list. An event that does not say which schedule changed
+ * drops every cached on-call answer but keeps the last known good answers.
+ *
+ * @param {Object} body - Parsed payload
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<Object>} event, ignored, scheduleIds, the number of
+ *          cache entries invalidated and of last known good answers dropped
+ */
+async function handleEvent(body, requestId) {
+  const event = parseEvent(body || {});
+
+  if (!RELEVANT_EVENT.test(event.type)) {
+    dashboard.logger.info(`Ignored Jira webhook event ${event.type}`, {
+      requestId,
+    });
+    return {
+      event: event.type,
+      ignored: true,
+      scheduleIds: [],
+      invalidated: 0,
+      lastKnownGoodDropped: 0,
+    };
+  }
+
+  const listChanged = !LIST_UNCHANGED_EVENT.test(event.type);
+  if (listChanged) {
+    onCallProviders.get("jsm").clearCache?.();
+  }
+
+  const scheduleIds = [
+    ...new Set([
+      ...event.scheduleIds,
+      ...(await findScheduleIds(event.scheduleNames, requestId)),
+    ]),
+  ];
+
+  let invalidated = 0;
+  let lastKnownGoodDropped = 0;
+  if (scheduleIds.length) {
+    for (const scheduleId of scheduleIds) {
+      invalidated += directClient.invalidateOnCallCache(scheduleId);
+      lastKnownGoodDropped += lastKnownGood.invalidate(scheduleId);
+    }
+  } else {
+    dashboard.logger.warning(
+      `Jira webhook event ${event.type} names no known schedule, clearing all on-call answers`,
+      { requestId, scheduleNames: event.scheduleNames }
+    );
+    invalidated = directClient.invalidateOnCallCache();
+  }
+
+  dashboard.logger.info(`Received Jira webhook event ${event.type}`, {
+    requestId,
+    scheduleIds,
+    invalidated,
+    lastKnownGoodDropped,
+    scheduleListCleared: listChanged,
+  });
+
+  // Teams on the schedule get their new answer before the next call
+  for (const scheduleId of scheduleIds) {
+    prewarm
+      .refreshSchedule(scheduleId, `webhook ${event.type}`)
+      .catch((error) => {
+        dashboard.logger.warning(`Refresh after webhook event failed`, {
+          requestId,
+          scheduleId,
+          error: error.message,
+        });
+      });
+  }
+
+  return {
+    event: event.type,
+    ignored: false,
+    scheduleIds,
+    invalidated,
+    lastKnownGoodDropped,
+  };
+}
+
+export default {
+  verify,
+  handleEvent,
+};
@@ -0,0 +1,248 @@
+/**
+ * jsm-provider.js
+ *
+ * On-call provider backed by Jira Service Management (JSM Ops schedules and
+ * on-calls, Jira platform users). All calls go through jira-client.js.
+ *
+ * The schedule list rarely changes and is needed for every lookup, so it is
+ * cached for 15 minutes.
+ */
+
+import dashboard from "./console-dashboard.js";
+import jiraClient from "./jira-client.js";
+import singleFlight from "./single-flight.js";
+import dayjs from "dayjs";
+import utc from "dayjs/plugin/utc.js";
+
+dayjs.extend(utc);
+
+const NAME = "jsm";
+
+const cache = {
+  schedules: {
+    data: null,
+    expiry: null,
+    duration: 15 * 60 * 1000, // 15 minutes in milliseconds
+  },
+};
+
+const scheduleRequests = singleFlight.create("schedules");
+
+/**
+ * List all JSM schedules, with caching
+ *
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<Array<Object>>} Schedules (id, name, timezone, provider)
+ */
+async function listSchedules(requestId) {
+  const now = Date.now();
+  if (
+    cache.schedules.data &&
+    cache.schedules.expiry &&
+    now < cache.schedules.expiry
+  ) {
+    dashboard.logger.info(
+      `Using cached schedule data (expires in ${Math.round(
+        (cache.schedules.expiry - now) / 1000
+      )} seconds)`,
+      { requestId }
+    );
+    return cache.schedules.data;
+  }
+
+  // Live callers must not join a background fetch that may outlast their
+  // deadline
+  const key = jiraClient.isBackground() ? "background" : "live";
+  return scheduleRequests.run(key, requestId, () => fetchSchedules(requestId));
+}
+
+/**
+ * Fetch all schedules from Jira and refresh the schedule cache
+ *
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<Array<Object>>} Schedules
+ */
+async function fetchSchedules(requestId) {
+  dashboard.logger.info(`Fetching schedules from Jira API`, { requestId });
+
+  try {
+    // Teams on later pages would otherwise resolve as "No schedule found"
+    const { values, pages } = await jiraClient.getAllPages(
+      jiraClient.opsUrl("v1/schedules"),
+      { requestId, label: "Jira schedules request" }
+    );
+    const schedules = values.map((schedule) => ({
+      ...schedule,
+      provider: NAME,
+    }));
+
+    // Update cache
+    cache.schedules.data = schedules;
+    cache.schedules.expiry = Date.now() + cache.schedules.duration;
+
+    dashboard.logger.info(
+      `Retrieved ${schedules.length} schedules from Jira (${pages} pages)`,
+      { requestId }
+    );
+    return schedules;
+  } catch (error) {
+    dashboard.logger.error(`Error fetching schedules from Jira`, {
+      requestId,
+      error: error.message,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Get the on-call participants of a schedule at a point in time
+ * Participants Jira nests under a rotation are listed in its place, so
+ * layered rotations keep their order.
+ *
+ * @param {string} scheduleId - ID of the schedule
+ * @param {string} at - ISO timestamp, with the offset Jira should answer in
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<Array<Object>>} Participants in Jira order, each with
+ *          `shiftEnd`, `rotation` and `override`
+ */
+async function getOnCall(scheduleId, at, requestId) {
+  // Encode so a "+hh:mm" offset is not read as a space
+  const onCallUrl = jiraClient.opsUrl(
+    `v1/schedules/${scheduleId}/on-calls?date=${encodeURIComponent(at)}`
+  );
+
+  dashboard.logger.info(`Fetching on-call data from: ${onCallUrl}`, {
+    requestId,
+  });
+
+  const onCallData = await jiraClient.getJson(onCallUrl, {
+    requestId,
+    label: "Jira on-calls request",
+  });
+  return flattenParticipants(onCallData.onCallParticipants || []).map(
+    ({ participant, rotation }) => ({
+      ...participant,
+      rotation,
+      // Jira marks people covering through an override as forwarded
+      override: !!participant.forwardedFrom,
+      shiftEnd: getShiftEnd(participant, onCallData),
+    })
+  );
+}
+
+/**
+ * Replace rotations in an on-calls payload by the participants they contain
+ *
+ * @param {Array<Object>} participants - Participants as reported by Jira
+ * @param {string|null} [rotation] - Name of the enclosing rotation
+ * @returns {Array<{participant: Object, rotation: string|null}>} Participants
+ *          with the name of their rotation
+ */
+function flattenParticipants(participants, rotation = null) {
+  return participants.flatMap((participant) =>
+    Array.isArray(participant.onCallParticipants)
+      ? flattenParticipants(
+          participant.onCallParticipants,
+          participant.name || rotation
+        )
+      : [{ participant, rotation: participant.rotation?.name || rotation }]
+  );
+}
+
+/**
+ * Get the on-call periods of a schedule over a time range
+ * Reads the schedule's final timeline (rotations with overrides applied), so
+ * hand-offs come back at their exact times.
+ *
+ * @param {string} scheduleId - ID of the schedule
+ * @param {string} from - ISO start of the range
+ * @param {string} to - ISO end of the range
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<Array<Object>>} Periods ({ id, start, end, rotation,
+ *          rank }); where periods overlap the lowest rank is on call first
+ */
+async function getTimeline(scheduleId, from, to, requestId) {
+  const days = Math.max(1, Math.ceil(dayjs(to).diff(dayjs(from), "day", true)));
+  const timelineUrl = jiraClient.opsUrl(
+    `v1/schedules/${scheduleId}/timeline?interval=${days}&intervalUnit=days&date=${encodeURIComponent(
+      from
+    )}`
+  );
+
+  dashboard.logger.info(`Fetching schedule timeline from: ${timelineUrl}`, {
+    requestId,
+  });
+
+  const data = await jiraClient.getJson(timelineUrl, {
+    requestId,
+    label: "Jira schedule timeline request",
+  });
+  const rotations = data.finalTimeline?.rotations || data.rotations || [];
+
+  return rotations.flatMap((rotation, index) =>
+    (rotation.periods || [])
+      .map((period) => ({
+        id: (period.recipient || period.responder || period.user)?.id || null,
+        start: dayjs(period.startDate).toISOString(),
+        end: dayjs(period.endDate).toISOString(),
+        rotation: rotation.name || null,
+        rank: rotation.order ?? index,
+      }))
+      .filter((period) => period.id)
+  );
+}
+
+/**
+ * Extract the end of the current on-call shift from an on-calls payload
+ * The end time may be reported on the participant or on the payload itself;
+ * payloads without one yield null.
+ *
+ * @param {Object} participant - On-call participant
+ * @param {Object} onCallData - Full on-calls response
+ * @returns {string|null} ISO timestamp of the shift end
+ */
+function getShiftEnd(participant, onCallData) {
+  const end =
+    participant.endDate ||
+    participant.period?.endDate ||
+    onCallData.endDate ||
+    null;
+  return end ? dayjs(end).toISOString() : null;
+}
+
+/**
+ * Get a Jira user by account ID
+ *
+ * @param {string} accountId - Jira account ID
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<Object>} Jira user (displayName, emailAddress, ...)
+ */
+async function getUser(accountId, requestId) {
+  const userUrl = jiraClient.platformUrl(
+    `rest/api/3/user?accountId=${encodeURIComponent(accountId)}`
+  );
+
+  dashboard.logger.info(`Fetching user data from: ${userUrl}`, { requestId });
+
+  return jiraClient.getJson(userUrl, {
+    requestId,
+    label: "Jira user request",
+  });
+}
+
+/**
+ * Drop the cached schedule list
+ */
+function clearCache() {
+  cache.schedules.data = null;
+  cache.schedules.expiry = null;
+}
+
+export default {
+  name: NAME,
+  listSchedules,
+  getOnCall,
+  getTimeline,
+  getUser,
+  clearCache,
+};
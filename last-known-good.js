@@ -0,0 +1,307 @@
+/**
+ * last-known-good.js
+ *
+ * Keeps the last successful on-call resolution for every team so callers can
+ * still be routed while Jira is down or timing out. A stale answer is served
+ * up to the configured maximum staleness, and teams that were served a stale
+ * answer are refreshed in the background until Jira recovers.
+ *
+ * Answers are also written to a snapshot file so a restart during a Jira or
+ * SQL outage still has something to route to. Snapshots within the maximum
+ * staleness are loaded at startup, unless their reported shift has ended.
+ */
+
+import fs from "fs";
+import path from "path";
+import config from "./config.js";
+import dashboard from "./console-dashboard.js";
+import directClient from "./direct-client.js";
+import jiraClient from "./jira-client.js";
+
+// Last successful resolution per team endpoint: { resolution, resolvedAt }
+const entries = new Map();
+
+// Unchanged answers are re-written at most this often (keeps resolvedAt fresh)
+const SNAPSHOT_REWRITE_MS = 5 * 60 * 1000;
+
+const snapshot = {
+  filePath: path.resolve(config.lastKnownGood.snapshotFile),
+  savedAt: 0,
+};
+
+// Teams waiting for a successful background refresh, keyed by endpoint
+const pendingRefresh = new Map();
+let refreshTimer = null;
+let refreshing = false;
+
+/**
+ * Record a successful live resolution for a team
+ * Answers from static escalation tiers (team lead, hunt group) are ignored:
+ * they are reached without the schedule, so the team stays waiting for a
+ * refresh and keeps its last schedule answer.
+ *
+ * @param {Object} team - Team entry from the registry
+ * @param {Object} resolution - Result of directClient.resolveTeamOnCall
+ */
+function record(team, resolution) {
+  if (!resolution.scheduleId) {
+    return;
+  }
+
+  const previous = entries.get(team.endpoint)?.resolution;
+  const stored = {
+    phoneNumber: resolution.phoneNumber,
+    tier: resolution.tier,
+    displayName: resolution.displayName || null,
+    email: resolution.email || null,
+    scheduleId: resolution.scheduleId || null,
+    scheduleName: resolution.scheduleName || null,
+    shiftEnd: resolution.shiftEnd || null,
+    team: team.endpoint,
+  };
+  entries.set(team.endpoint, { resolution: stored, resolvedAt: Date.now() });
+
+  const changed =
+    !previous ||
+    previous.phoneNumber !== stored.phoneNumber ||
+    previous.email !== stored.email ||
+    previous.shiftEnd !== stored.shiftEnd;
+  if (changed || Date.now() - snapshot.savedAt > SNAPSHOT_REWRITE_MS) {
+    save();
+  }
+
+  if (pendingRefresh.delete(team.endpoint)) {
+    dashboard.logger.success(`Jira lookups recovered for ${team.displayName}`, {
+      team: team.endpoint,
+    });
+    stopRefreshTimerIfIdle();
+  }
+}
+
+/**
+ * Get a team's last known good resolution after a failed lookup
+ * Schedules a background refresh for the team when an answer is returned.
+ *
+ * @param {Object} team - Team entry from the registry
+ * @param {string} requestId - Request ID for logging
+ * @param {Error} error - Why the live lookup failed
+ * @returns {Object|null} Resolution marked `stale`, or null if there is none
+ *          recent enough
+ */
+function getStale(team, requestId, error) {
+  const entry = entries.get(team.endpoint);
+  if (!entry) {
+    return null;
+  }
+
+  const ageMs = Date.now() - entry.resolvedAt;
+  if (ageMs > config.lastKnownGood.maxStalenessMs) {
+    dashboard.logger.warning(
+      `Last known good answer for ${team.displayName} is too old to serve`,
+      { requestId, team: team.endpoint, ageSeconds: Math.round(ageMs / 1000) }
+    );
+    return null;
+  }
+
+  const shiftEnd = entry.resolution.shiftEnd;
+  dashboard.logger.warning(
+    `Serving stale on-call answer for ${team.displayName}`,
+    {
+      requestId,
+      team: team.endpoint,
+      tier: entry.resolution.tier,
+      ageSeconds: Math.round(ageMs / 1000),
+      shiftEnded: shiftEnd ? Date.parse(shiftEnd) <= Date.now() : null,
+      error: error.message,
+    }
+  );
+
+  scheduleRefresh(team);
+
+  return {
+    ...entry.resolution,
+    stale: true,
+    staleSince: new Date(entry.resolvedAt).toISOString(),
+    staleAgeSeconds: Math.round(ageMs / 1000),
+    at: new Date().toISOString(),
+  };
+}
+
+/**
+ * Drop the answers of teams resolved from a schedule, e.g. after it changed
+ * in JSM, so an outage cannot replay the person who is no longer on call
+ *
+ * @param {string|null} [scheduleId] - Only drop this schedule (default: all)
+ * @returns {number} Number of teams whose answer was dropped
+ */
+function invalidate(scheduleId = null) {
+  let count = 0;
+  for (const [endpoint, entry] of entries) {
+    if (!scheduleId || entry.resolution.scheduleId === scheduleId) {
+      entries.delete(endpoint);
+      count++;
+    }
+  }
+
+  if (count > 0) {
+    save();
+  }
+  return count;
+}
+
+/**
+ * Check whether a snapshot is still worth restoring
+ * It must be within the maximum staleness, and its shift must still be
+ * running if Jira reported when it ends.
+ *
+ * @param {Object} entry - Snapshot ({ resolution, resolvedAt })
+ * @returns {boolean} True if the snapshot can be served
+ */
+function isRestorable(entry) {
+  const ageMs = Date.now() - Date.parse(entry.resolvedAt);
+  if (!(ageMs <= config.lastKnownGood.maxStalenessMs)) {
+    return false;
+  }
+
+  const shiftEnd = entry.resolution.shiftEnd;
+  return !shiftEnd || Date.parse(shiftEnd) > Date.now();
+}
+
+/**
+ * Load snapshots written before the last restart
+ * Only answers that can still be served are kept; a missing file just means
+ * nothing has been recorded yet.
+ *
+ * @returns {number} Number of snapshots loaded
+ */
+function load() {
+  try {
+    if (!fs.existsSync(snapshot.filePath)) {
+      return 0;
+    }
+
+    const document = JSON.parse(fs.readFileSync(snapshot.filePath, "utf8"));
+    const loaded = (document.snapshots || []).filter(
+      (entry) => entry?.resolution?.phoneNumber && isRestorable(entry)
+    );
+    loaded.forEach((entry) => {
+      if (!entries.has(entry.resolution.team)) {
+        entries.set(entry.resolution.team, {
+          resolution: entry.resolution,
+          resolvedAt: Date.parse(entry.resolvedAt),
+        });
+      }
+    });
+
+    dashboard.logger.info(`Loaded ${loaded.length} on-call snapshots`, {
+      file: snapshot.filePath,
+      teams: loaded.map((entry) => entry.resolution.team),
+      expired: (document.snapshots || []).length - loaded.length,
+    });
+    return loaded.length;
+  } catch (error) {
+    dashboard.logger.error(`Failed to load on-call snapshots`, {
+      file: snapshot.filePath,
+      error: error.message,
+    });
+    return 0;
+  }
+}
+
+/**
+ * Write all answers to the snapshot file via a temporary file
+ * Failures are logged but never affect the lookup that triggered them.
+ */
+function save() {
+  const tempPath = `${snapshot.filePath}.${process.pid}.tmp`;
+  const snapshots = [...entries.values()].map((entry) => ({
+    resolution: entry.resolution,
+    resolvedAt: new Date(entry.resolvedAt).toISOString(),
+  }));
+
+  try {
+    fs.writeFileSync(
+      tempPath,
+      JSON.stringify({ snapshots }, null, 2) + "\n",
+      "utf8"
+    );
+    fs.renameSync(tempPath, snapshot.filePath);
+    snapshot.savedAt = Date.now();
+  } catch (error) {
+    dashboard.logger.error(`Failed to save on-call snapshots`, {
+      file: snapshot.filePath,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * Queue a team for background refresh and start the refresh timer
+ *
+ * @param {Object} team - Team entry from the registry
+ */
+function scheduleRefresh(team) {
+  pendingRefresh.set(team.endpoint, team);
+
+  if (!refreshTimer) {
+    refreshTimer = setInterval(
+      refreshPending,
+      config.lastKnownGood.refreshIntervalMs
+    );
+    refreshTimer.unref();
+  }
+}
+
+/**
+ * Retry the live lookup for every team that was served a stale answer
+ */
+async function refreshPending() {
+  // A slow Jira can make one pass outlast the interval
+  if (refreshing) return;
+  refreshing = true;
+
+  for (const team of [...pendingRefresh.values()]) {
+    try {
+      const resolution = await jiraClient.runInBackground(() =>
+        directClient.resolveTeamOnCall(team, `refresh-${team.endpoint}`)
+      );
+      record(team, resolution);
+    } catch (error) {
+      dashboard.logger.info(
+        `Background refresh for ${team.displayName} failed`,
+        {
+          team: team.endpoint,
+          error: error.message,
+        }
+      );
+    }
+  }
+
+  refreshing = false;
+}
+
+/**
+ * Stop the refresh timer once no team is waiting for a refresh
+ */
+function stopRefreshTimerIfIdle() {
+  if (refreshTimer && pendingRefresh.size === 0) {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+  }
+}
+
+/**
+ * Stop background refreshes
+ */
+function close() {
+  pendingRefresh.clear();
+  stopRefreshTimerIfIdle();
+}
+
+export default {
+  load,
+  record,
+  getStale,
+  invalidate,
+  close,
+};
@@ -0,0 +1,82 @@
+/**
+ * oncall-providers.js
+ *
+ * Registry of on-call providers. A provider only answers "who is on call";
+ * schedule matching, escalation, caching and the directory phone lookup are
+ * done on top of it in direct-client.js.
+ *
+ * Every provider exports:
+ *
+ *   name                                  Name used in ONCALL_PROVIDER and
+ *                                         the team registry ("provider")
+ *   listSchedules(requestId)              [{ id, name, timezone, provider }]
+ *   getOnCall(scheduleId, at, requestId)  Participants at the ISO time `at`,
+ *                                         highest ranked first:
+ *                                         [{ id, type, shiftEnd, rotation,
+ *                                         override }], where `rotation` is
+ *                                         the rotation or layer name (or
+ *                                         null) and `override` is true for
+ *                                         one-off overrides and shifts
+ *   getTimeline(scheduleId, from, to,     Optional, exact on-call periods
+ *               requestId)                over a range: [{ id, start, end,
+ *                                         rotation, rank }]; without it
+ *                                         timelines sample getOnCall
+ *   getUser(id, requestId)                { displayName, emailAddress }
+ *   clearCache()                          Optional, drops cached data
+ */
+
+import config from "./config.js";
+import jsmProvider from "./jsm-provider.js";
+import fileProvider from "./file-provider.js";
+
+const providers = new Map(
+  [jsmProvider, fileProvider].map((provider) => [provider.name, provider])
+);
+
+/**
+ * Get a provider by name
+ *
+ * @param {string} [name] - Provider name (defaults to ONCALL_PROVIDER)
+ * @returns {Object} Provider
+ * @throws {Error} If no provider has that name
+ */
+function get(name = config.oncall.provider) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown on-call provider "${name}"`);
+  }
+  return provider;
+}
+
+/**
+ * Check whether a provider exists
+ *
+ * @param {string} name - Provider name
+ * @returns {boolean} True if a provider has that name
+ */
+function has(name) {
+  return providers.has(name);
+}
+
+/**
+ * Get the names of all providers
+ *
+ * @returns {Array<string>} Provider names
+ */
+function names() {
+  return [...providers.keys()];
+}
+
+/**
+ * Drop every provider's cached data
+ */
+function clearCaches() {
+  providers.forEach((provider) => provider.clearCache?.());
+}
+
+export default {
+  get,
+  has,
+  names,
+  clearCaches,
+};
@@ -0,0 +1,319 @@
+/**
+ * override-store.js
+ *
+ * File-backed store of local on-call overrides. An override forces a team's
+ * calls to a specific number or person for a time window (for example during
+ * a JSM outage or a swap nobody entered in Jira) and takes precedence over
+ * the Jira schedule. Expired overrides are pruned automatically.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import config from "./config.js";
+import dashboard from "./console-dashboard.js";
+import directClient from "./direct-client.js";
+
+// How often expired overrides are pruned and the dashboard refreshed
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+const state = {
+  filePath: path.resolve(config.overrides.file),
+  overrides: [],
+};
+
+const listeners = [];
+let pruneTimer = null;
+
+/**
+ * Read overrides from disk
+ * A missing file simply means no overrides have been created yet.
+ *
+ * @returns {boolean} True if the file was loaded (or did not exist)
+ */
+function load() {
+  try {
+    if (!fs.existsSync(state.filePath)) {
+      state.overrides = [];
+      return true;
+    }
+
+    const document = JSON.parse(fs.readFileSync(state.filePath, "utf8"));
+    state.overrides = Array.isArray(document.overrides)
+      ? document.overrides
+      : [];
+
+    dashboard.logger.info(
+      `Loaded ${state.overrides.length} on-call overrides`,
+      {
+        file: state.filePath,
+      }
+    );
+    prune();
+    return true;
+  } catch (error) {
+    dashboard.logger.error(`Failed to load on-call overrides`, {
+      file: state.filePath,
+      error: error.message,
+    });
+    return false;
+  }
+}
+
+/**
+ * Write overrides to disk via a temporary file, then make them current and
+ * notify listeners
+ * If the write fails the in-memory list is left unchanged.
+ *
+ * @param {Array<Object>} [overrides] - New override list (defaults to the
+ *        current one)
+ */
+function save(overrides = state.overrides) {
+  const tempPath = `${state.filePath}.${process.pid}.tmp`;
+  const text = JSON.stringify({ overrides }, null, 2) + "\n";
+
+  try {
+    fs.writeFileSync(tempPath, text, "utf8");
+    fs.renameSync(tempPath, state.filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+
+  state.overrides = overrides;
+  notifyListeners();
+}
+
+/**
+ * Notify change listeners and push the active list to the dashboard
+ */
+function notifyListeners() {
+  dashboard.setActiveOverrides(list({ activeOnly: true }));
+  listeners.forEach((listener) => {
+    try {
+      listener(state.overrides);
+    } catch (error) {
+      dashboard.logger.error(`Override listener failed`, {
+        error: error.message,
+      });
+    }
+  });
+}
+
+/**
+ * Check whether an override covers a point in time
+ *
+ * @param {Object} override - Override entry
+ * @param {number} time - Epoch milliseconds
+ * @returns {boolean} True if the override is in effect at `time`
+ */
+function isActiveAt(override, time) {
+  return Date.parse(override.start) <= time && time < Date.parse(override.end);
+}
+
+/**
+ * List overrides
+ *
+ * @param {Object} [options] - List options
+ * @param {boolean} [options.activeOnly=false] - Only overrides in effect now
+ * @returns {Array<Object>} Overrides ordered by start time
+ */
+function list(options = {}) {
+  const now = Date.now();
+  return state.overrides
+    .filter((override) => !options.activeOnly || isActiveAt(override, now))
+    .sort((a, b) => Date.parse(a.start) - Date.parse(b.start));
+}
+
+/**
+ * Validate override fields and build the override to store
+ *
+ * @param {Object} input - Override fields (see add)
+ * @returns {Object} Override with ID and normalized times
+ */
+function normalizeOverride(input) {
+  if (!input.team) {
+    throw new Error(`Override needs a "team"`);
+  }
+  if (!input.phoneNumber && !input.email) {
+    throw new Error(`Override needs a "phoneNumber" or "email"`);
+  }
+  if (
+    input.phoneNumber &&
+    !directClient.isValidPhoneNumber(input.phoneNumber)
+  ) {
+    throw new Error(
+      `Override "phoneNumber" must have 7 to 15 digits, got "${input.phoneNumber}"`
+    );
+  }
+
+  const start = input.start ? Date.parse(input.start) : Date.now();
+  const end = Date.parse(input.end);
+  if (Number.isNaN(start) || Number.isNaN(end)) {
+    throw new Error(`Override "start" and "end" must be ISO 8601 timestamps`);
+  }
+  if (end <= start) {
+    throw new Error(`Override "end" must be after "start"`);
+  }
+  if (end <= Date.now()) {
+    throw new Error(`Override "end" is already in the past`);
+  }
+
+  return {
+    id: crypto.randomUUID(),
+    team: String(input.team).toLowerCase(),
+    phoneNumber: input.phoneNumber || null,
+    email: input.email || null,
+    name: input.name || null,
+    start: new Date(start).toISOString(),
+    end: new Date(end).toISOString(),
+    reason: input.reason || null,
+    createdBy: input.createdBy || null,
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Add an override
+ * Nothing changes unless the override is saved to disk.
+ *
+ * @param {Object} input - Override fields
+ * @param {string} input.team - Endpoint slug of the team
+ * @param {string} [input.phoneNumber] - Number to route calls to
+ * @param {string} [input.email] - Directory email to route calls to
+ * @param {string} [input.name] - Name of the person covering
+ * @param {string} [input.start] - ISO start time (defaults to now)
+ * @param {string} input.end - ISO end time
+ * @param {string} [input.reason] - Why the override exists
+ * @param {string} [input.createdBy] - Who created it (for audit)
+ * @returns {Object} The stored override
+ */
+function add(input) {
+  const override = normalizeOverride(input);
+  save([...state.overrides, override]);
+
+  dashboard.logger.success(`On-call override added for ${override.team}`, {
+    id: override.id,
+    start: override.start,
+    end: override.end,
+    reason: override.reason,
+  });
+
+  return override;
+}
+
+/**
+ * Remove an override by ID
+ * The override stays in effect unless its removal is saved to disk.
+ *
+ * @param {string} id - Override ID
+ * @returns {boolean} True if the override existed
+ */
+function remove(id) {
+  const remaining = state.overrides.filter((override) => override.id !== id);
+  if (remaining.length === state.overrides.length) {
+    return false;
+  }
+
+  save(remaining);
+  dashboard.logger.info(`On-call override removed`, { id });
+  return true;
+}
+
+/**
+ * Find the override in effect for a team
+ * When several overlap, the most recently created one wins.
+ *
+ * @param {string} team - Endpoint slug
+ * @param {string|Date|null} [at] - Point in time (defaults to now)
+ * @returns {Object|null} Active override or null
+ */
+function getActiveOverride(team, at = null) {
+  const time = at ? new Date(at).getTime() : Date.now();
+  const slug = String(team).toLowerCase();
+
+  const matches = state.overrides.filter(
+    (override) => override.team === slug && isActiveAt(override, time)
+  );
+  if (matches.length === 0) return null;
+
+  return matches.sort(
+    (a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt)
+  )[0];
+}
+
+/**
+ * Drop expired overrides and refresh the dashboard's active list
+ */
+function prune() {
+  const now = Date.now();
+  const expired = state.overrides.filter(
+    (override) => Date.parse(override.end) <= now
+  );
+
+  if (expired.length > 0) {
+    state.overrides = state.overrides.filter(
+      (override) => Date.parse(override.end) > now
+    );
+    expired.forEach((override) => {
+      dashboard.logger.info(`On-call override expired for ${override.team}`, {
+        id: override.id,
+        end: override.end,
+      });
+    });
+
+    try {
+      save();
+      return;
+    } catch (error) {
+      dashboard.logger.error(`Failed to save pruned overrides`, {
+        file: state.filePath,
+        error: error.message,
+      });
+    }
+  }
+
+  // Overrides can also become active as time passes
+  dashboard.setActiveOverrides(list({ activeOnly: true }));
+}
+
+/**
+ * Start the periodic expiry check
+ */
+function startExpiryTimer() {
+  if (pruneTimer) return;
+  pruneTimer = setInterval(prune, PRUNE_INTERVAL_MS);
+  pruneTimer.unref();
+}
+
+/**
+ * Stop the periodic expiry check
+ */
+function close() {
+  if (pruneTimer) {
+    clearInterval(pruneTimer);
+    pruneTimer = null;
+  }
+}
+
+/**
+ * Register a listener called whenever overrides change
+ *
+ * @param {function(Array<Object>)} listener - Receives all stored overrides
+ */
+function onChange(listener) {
+  listeners.push(listener);
+}
+
+export default {
+  load,
+  list,
+  normalizeOverride,
+  add,
+  remove,
+  getActiveOverride,
+  startExpiryTimer,
+  close,
+  onChange,
+  getFilePath: () => state.filePath,
+};
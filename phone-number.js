@@ -0,0 +1,42 @@
+/**
+ * phone-number.js
+ *
+ * Formatting and validation of phone numbers for dialing from CCX. Shared by
+ * the directory lookup and by the registry checks of configured numbers.
+ */
+
+/**
+ * Format a phone number for dialing from CCX
+ *
+ * @param {string|number} rawNumber - Phone number in any format
+ * @returns {string} Digits only, with a leading "1" added to 10-digit numbers
+ */
+function formatPhoneNumber(rawNumber) {
+  let phoneNumber = String(rawNumber).trim();
+  phoneNumber = phoneNumber.replace(/\D/g, ""); // Remove non-digits
+
+  // If exactly 10 digits, prepend '1' for country code
+  if (phoneNumber.length === 10) {
+    phoneNumber = "1" + phoneNumber;
+  }
+
+  return phoneNumber;
+}
+
+/**
+ * Check whether a configured phone number is dialable once formatted
+ * Accepts 7 (internal numbers) to 15 digits (the E.164 maximum).
+ *
+ * @param {string|number} rawNumber - Phone number in any format
+ * @returns {boolean} True if the number can be used
+ */
+function isValidPhoneNumber(rawNumber) {
+  if (rawNumber === null || rawNumber === undefined) return false;
+  const digits = formatPhoneNumber(rawNumber);
+  return digits.length >= 7 && digits.length <= 15;
+}
+
+export default {
+  formatPhoneNumber,
+  isValidPhoneNumber,
+};
@@ -0,0 +1,307 @@
+/**
+ * prewarm.js
+ *
+ * Background refresh of every registered team's on-call resolution, so team
+ * routes are answered from memory instead of waiting on Jira and SQL while a
+ * caller is on the line.
+ *
+ * Teams are refreshed on a fixed interval and around each known hand-off:
+ * shortly before a shift ends the incoming person is looked up (warming the
+ * user cache), and right after the hand-off the live answer is refreshed.
+ * Failures are reported on the dashboard. Refreshes are not on the call path,
+ * so their Jira calls get the full retry policy.
+ */
+
+import config from "./config.js";
+import dashboard from "./console-dashboard.js";
+import directClient from "./direct-client.js";
+import jiraClient from "./jira-client.js";
+import teamRegistry from "./team-registry.js";
+import lastKnownGood from "./last-known-good.js";
+
+// Wait after a hand-off before asking Jira, so it reports the new shift
+const HANDOFF_SETTLE_MS = 2000;
+
+// setTimeout cannot wait longer than this; later hand-offs are picked up by
+// the next interval run
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const state = {
+  timer: null,
+  running: false,
+  // Pending hand-off timers keyed by endpoint: { timer, shiftEnd }
+  handoffs: new Map(),
+  // Schedule each team was last resolved from, keyed by endpoint
+  scheduleIds: new Map(),
+  status: {
+    lastRunAt: null,
+    succeeded: 0,
+    // Latest failure per endpoint, cleared on the next success
+    failures: new Map(),
+  },
+};
+
+/**
+ * Resolve a team's live answer in the background and keep it as the last
+ * known good answer
+ *
+ * @param {Object} team - Team entry from the registry
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<Object>} Resolution (see directClient.resolveTeamOnCall)
+ */
+async function resolveLive(team, requestId) {
+  const resolution = await jiraClient.runInBackground(() =>
+    directClient.resolveTeamOnCall(team, requestId, { refresh: true })
+  );
+  if (resolution.scheduleId) {
+    lastKnownGood.record(team, resolution);
+    state.scheduleIds.set(team.endpoint, resolution.scheduleId);
+  }
+  return resolution;
+}
+
+/**
+ * Refresh one team's live resolution and schedule its next hand-off refresh
+ *
+ * @param {Object} team - Team entry from the registry
+ * @param {string} reason - Why the refresh runs (for logs)
+ * @returns {Promise<boolean>} True if the refresh succeeded
+ */
+async function refreshTeam(team, reason) {
+  const requestId = `prewarm-${team.endpoint}`;
+
+  try {
+    const resolution = await resolveLive(team, requestId);
+
+    state.status.failures.delete(team.endpoint);
+    scheduleHandoff(team, resolution.shiftEnd);
+    return true;
+  } catch (error) {
+    state.status.failures.set(team.endpoint, {
+      team: team.endpoint,
+      reason,
+      error: error.message,
+      at: new Date().toISOString(),
+    });
+    dashboard.logger.warning(`Background refresh failed for ${team.endpoint}`, {
+      requestId,
+      reason,
+      error: error.message,
+    });
+    return false;
+  }
+}
+
+/**
+ * Refresh every registered team
+ *
+ * @param {string} [reason="interval"] - Why the run happens (for logs)
+ */
+async function refreshAll(reason = "interval") {
+  // A slow upstream can make one run outlast the interval
+  if (state.running) return;
+  state.running = true;
+
+  const teams = teamRegistry.getTeams();
+  const endpoints = new Set(teams.map((team) => team.endpoint));
+
+  // Teams removed from the registry no longer need hand-off refreshes
+  for (const endpoint of state.handoffs.keys()) {
+    if (!endpoints.has(endpoint)) cancelHandoff(endpoint);
+  }
+  for (const endpoint of state.status.failures.keys()) {
+    if (!endpoints.has(endpoint)) state.status.failures.delete(endpoint);
+  }
+  for (const endpoint of state.scheduleIds.keys()) {
+    if (!endpoints.has(endpoint)) state.scheduleIds.delete(endpoint);
+  }
+
+  let succeeded = 0;
+  for (const team of teams) {
+    if (await refreshTeam(team, reason)) succeeded++;
+  }
+
+  state.status.lastRunAt = new Date().toISOString();
+  state.status.succeeded = succeeded;
+  state.running = false;
+
+  dashboard.logger.info(`Background refresh finished (${reason})`, {
+    succeeded,
+    failed: state.status.failures.size,
+  });
+  publishStatus();
+}
+
+/**
+ * Refresh the teams on a schedule
+ * Used when the schedule changes upstream, so the teams have their new
+ * answer (and last known good answer) before the next call. While background
+ * refresh is disabled the teams are matched to the schedule here and only
+ * their answer is refreshed; no hand-off refreshes are scheduled.
+ *
+ * @param {string} scheduleId - ID of the changed schedule
+ * @param {string} reason - Why the refresh runs (for logs)
+ * @returns {Promise<number>} Number of teams refreshed
+ */
+async function refreshSchedule(scheduleId, reason) {
+  if (config.prewarm.intervalMs) {
+    const teams = teamRegistry
+      .getTeams()
+      .filter((team) => state.scheduleIds.get(team.endpoint) === scheduleId);
+    for (const team of teams) {
+      await refreshTeam(team, reason);
+    }
+
+    if (teams.length) publishStatus();
+    return teams.length;
+  }
+
+  const requestId = `refresh-${scheduleId}`;
+  let refreshed = 0;
+  for (const team of teamRegistry.getTeams()) {
+    try {
+      const schedule = await jiraClient.runInBackground(() =>
+        directClient.getTeamSchedule(
+          team.scheduleId || team.schedule,
+          requestId,
+          { aliases: team.aliases, provider: team.provider }
+        )
+      );
+      if (schedule?.id !== scheduleId) continue;
+
+      await resolveLive(team, requestId);
+      refreshed++;
+    } catch (error) {
+      dashboard.logger.warning(`Refresh failed for ${team.endpoint}`, {
+        requestId,
+        reason,
+        error: error.message,
+      });
+    }
+  }
+  return refreshed;
+}
+
+/**
+ * Schedule refreshes around a team's next hand-off
+ *
+ * @param {Object} team - Team entry from the registry
+ * @param {string|null} shiftEnd - ISO end of the current shift
+ */
+function scheduleHandoff(team, shiftEnd) {
+  const end = shiftEnd ? Date.parse(shiftEnd) : NaN;
+  const existing = state.handoffs.get(team.endpoint);
+  if (existing && existing.shiftEnd === end) return;
+
+  cancelHandoff(team.endpoint);
+  if (Number.isNaN(end) || end <= Date.now()) return;
+
+  const delay = end - config.prewarm.handoffLeadMs - Date.now();
+  if (delay > MAX_TIMER_MS) return;
+
+  const timer = setTimeout(async () => {
+    // Look up the incoming person ahead of time
+    try {
+      await jiraClient.runInBackground(() =>
+        directClient.resolveTeamOnCall(team, `prewarm-${team.endpoint}`, {
+          at: new Date(end + HANDOFF_SETTLE_MS).toISOString(),
+        })
+      );
+    } catch (error) {
+      dashboard.logger.warning(
+        `Hand-off prefetch failed for ${team.endpoint}`,
+        { error: error.message }
+      );
+    }
+
+    // Then replace the live answer as soon as the shift has changed
+    const handoff = state.handoffs.get(team.endpoint);
+    if (!handoff || handoff.shiftEnd !== end) return;
+    handoff.timer = setTimeout(async () => {
+      state.handoffs.delete(team.endpoint);
+      await refreshTeam(team, "hand-off");
+      publishStatus();
+    }, Math.max(0, end + HANDOFF_SETTLE_MS - Date.now()));
+    handoff.timer.unref();
+  }, Math.max(0, delay));
+  timer.unref();
+
+  state.handoffs.set(team.endpoint, { timer, shiftEnd: end });
+}
+
+/**
+ * Cancel a team's pending hand-off refresh
+ *
+ * @param {string} endpoint - Endpoint slug
+ */
+function cancelHandoff(endpoint) {
+  const handoff = state.handoffs.get(endpoint);
+  if (handoff) {
+    clearTimeout(handoff.timer);
+    state.handoffs.delete(endpoint);
+  }
+}
+
+/**
+ * Get the current background refresh status
+ *
+ * @returns {Object} enabled, lastRunAt, succeeded, failures and the upcoming
+ *          hand-off refreshes
+ */
+function getStatus() {
+  return {
+    enabled: config.prewarm.intervalMs > 0,
+    lastRunAt: state.status.lastRunAt,
+    succeeded: state.status.succeeded,
+    failures: [...state.status.failures.values()],
+    nextHandoffs: [...state.handoffs.entries()]
+      .map(([team, handoff]) => ({
+        team,
+        at: new Date(handoff.shiftEnd).toISOString(),
+      }))
+      .sort((a, b) => Date.parse(a.at) - Date.parse(b.at)),
+  };
+}
+
+/**
+ * Push the refresh status to the dashboard
+ */
+function publishStatus() {
+  dashboard.setRefreshStatus(getStatus());
+}
+
+/**
+ * Start the interval refresh (runs once immediately)
+ */
+function start() {
+  if (state.timer) return;
+
+  if (!config.prewarm.intervalMs) {
+    dashboard.logger.info(`Background refresh disabled`);
+    publishStatus();
+    return;
+  }
+
+  refreshAll("startup");
+  state.timer = setInterval(() => refreshAll(), config.prewarm.intervalMs);
+  state.timer.unref();
+}
+
+/**
+ * Stop all background refreshes
+ */
+function close() {
+  clearInterval(state.timer);
+  state.timer = null;
+  for (const endpoint of [...state.handoffs.keys()]) {
+    cancelHandoff(endpoint);
+  }
+}
+
+export default {
+  start,
+  close,
+  refreshAll,
+  refreshSchedule,
+  getStatus,
+};
@@ -0,0 +1,184 @@
+/**
+ * schedule-matcher.js
+ *
+ * Flexible matching of team names against Jira schedule names. Used by
+ * direct-client.js to resolve a team's schedule and by test-jira.js to
+ * suggest registry mappings.
+ *
+ * Matching happens in three passes:
+ * 1. Exact schedule ID or name
+ * 2. Normalized name (case, punctuation and "-schedule" suffix ignored),
+ *    including any configured aliases
+ * 3. Ranked fuzzy fallback scored by containment and edit distance
+ *
+ * Callers that must not guess (admin writes, ad-hoc schedule lookups) turn
+ * pass 3 off; its best candidate is then only returned as a suggestion.
+ */
+
+// Default minimum fuzzy score (0-1) for a schedule to be considered a match
+const DEFAULT_FUZZY_THRESHOLD = 0.6;
+
+// Candidates scoring within this margin of the best match are ambiguous
+const AMBIGUITY_MARGIN = 0.05;
+
+/**
+ * Normalize a schedule or team name for comparison
+ * "Help-Desk-schedule", "help desk" and "HelpDesk Schedule" all become "helpdesk"
+ *
+ * @param {string} name - Name to normalize
+ * @returns {string} Normalized name
+ */
+function normalizeName(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/[\s_-]*schedule$/, "")
+    .replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Levenshtein edit distance between two strings
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Score how closely two normalized names match
+ *
+ * @param {string} query - Normalized query
+ * @param {string} candidate - Normalized candidate
+ * @returns {number} Score between 0 (unrelated) and 1 (identical)
+ */
+function similarity(query, candidate) {
+  if (!query || !candidate) return 0;
+  if (query === candidate) return 1;
+
+  const shorter = query.length < candidate.length ? query : candidate;
+  const longer = query.length < candidate.length ? candidate : query;
+
+  // Containment ("ibm" in "ibmi") ranks above plain edit distance
+  const containment = longer.includes(shorter)
+    ? 0.7 + 0.3 * (shorter.length / longer.length)
+    : 0;
+  const edit = 1 - editDistance(query, candidate) / longer.length;
+
+  return Math.max(containment, edit);
+}
+
+/**
+ * Rank schedules by fuzzy similarity to any of the given names
+ *
+ * @param {Array<string>} names - Team name plus aliases
+ * @param {Array<Object>} schedules - Jira schedule objects
+ * @param {number} [threshold] - Minimum score to include
+ * @returns {Array<{schedule: Object, score: number}>} Best matches first
+ */
+function rankSchedules(names, schedules, threshold = DEFAULT_FUZZY_THRESHOLD) {
+  const queries = names.map(normalizeName).filter(Boolean);
+
+  return schedules
+    .map((schedule) => {
+      const candidate = normalizeName(schedule.name);
+      const score = Math.max(
+        0,
+        ...queries.map((query) => similarity(query, candidate))
+      );
+      return { schedule, score: Math.round(score * 1000) / 1000 };
+    })
+    .filter((entry) => entry.score >= threshold)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Find the schedule that best matches a team name
+ *
+ * @param {string} teamName - Schedule name, schedule ID or team name
+ * @param {Array<Object>} schedules - Jira schedule objects
+ * @param {Object} [options] - Matching options
+ * @param {Array<string>} [options.aliases] - Alternative names for the team
+ * @param {number} [options.threshold] - Minimum fuzzy score (0-1)
+ * @param {boolean} [options.fuzzy] - Allow the fuzzy pass (default true);
+ *        when false, its best candidate is returned as `suggestion`
+ * @returns {{schedule: Object|null, matchType: string|null, candidates: Array<Object>}}
+ *          Match result; `candidates` lists every schedule that tied for the
+ *          match when it was ambiguous
+ */
+function matchSchedule(teamName, schedules, options = {}) {
+  const aliases = options.aliases || [];
+  const names = [teamName, ...aliases].filter(Boolean);
+
+  // Pass 1: exact ID or name
+  const exact = schedules.find(
+    (schedule) => schedule.id === teamName || schedule.name === teamName
+  );
+  if (exact) {
+    return { schedule: exact, matchType: "exact", candidates: [] };
+  }
+
+  // Pass 2: normalized name or alias
+  const normalizedNames = new Set(names.map(normalizeName).filter(Boolean));
+  const normalizedMatches = schedules.filter((schedule) =>
+    normalizedNames.has(normalizeName(schedule.name))
+  );
+  if (normalizedMatches.length > 0) {
+    return {
+      schedule: normalizedMatches[0],
+      matchType: "normalized",
+      candidates: normalizedMatches.length > 1 ? normalizedMatches : [],
+    };
+  }
+
+  // Pass 3: ranked fuzzy fallback
+  const ranked = rankSchedules(
+    names,
+    schedules,
+    options.threshold ?? DEFAULT_FUZZY_THRESHOLD
+  );
+  if (ranked.length === 0) {
+    return { schedule: null, matchType: null, candidates: [] };
+  }
+
+  if (options.fuzzy === false) {
+    return {
+      schedule: null,
+      matchType: null,
+      candidates: [],
+      suggestion: ranked[0].schedule,
+    };
+  }
+
+  const close = ranked.filter(
+    (entry) => ranked[0].score - entry.score <= AMBIGUITY_MARGIN
+  );
+  return {
+    schedule: ranked[0].schedule,
+    matchType: "fuzzy",
+    score: ranked[0].score,
+    candidates: close.length > 1 ? close.map((entry) => entry.schedule) : [],
+  };
+}
+
+export default {
+  normalizeName,
+  rankSchedules,
+  matchSchedule,
+};
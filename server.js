@@ -5,6 +5,14 @@
  *
  * This server provides endpoints for:
  * - Team-specific on-call phone number lookups (helpdesk, network, ibmi, etc.)
+ *   registered from the team registry file
+ * - Generic /oncall/:team lookups by endpoint slug, schedule name or schedule ID
+ * - Rotation timelines for a team over a date range (/teams/:team/schedule)
+ * - Ranked on-call participants of a team (/teams/:team/participants, or
+ *   ?all=true on team lookups for a list of numbers to try in order)
+ * - Authenticated /admin/teams API for managing team mappings at runtime
+ * - Authenticated /overrides API for local on-call overrides
+ * - Signed /webhooks/jira receiver for JSM Ops schedule change events
  * - Health check for monitoring
  * - Stats reset for clearing caches and metrics
  * - Test endpoint for quick connectivity verification
@@ -17,6 +25,8 @@ import express from "express";
 import dotenv from "dotenv";
 import http from "http";
 import util from "util";
+import crypto from "crypto";
+import dayjs from "dayjs";
 
 // Load environment variables first to ensure availability for imported modules
 dotenv.config();
@@ -30,206 +40,1696 @@ import dashboard from "./console-dashboard.js";
 // Import the client for Jira API and SQL database access
 import directClient from "./direct-client.js";
 
+// Import the Jira credential providers (reloaded on SIGHUP)
+import jiraCredentials from "./jira-credentials.js";
+
+// Import the circuit breaker registry (Jira and SQL state for /health)
+import circuitBreaker from "./circuit-breaker.js";
+
+// Import the team registry (endpoint -> Jira schedule mapping)
+import teamRegistry from "./team-registry.js";
+
+// Import the local on-call override store
+import overrideStore from "./override-store.js";
+
+// Import business-hours and holiday calendar routing
+import businessHours from "./business-hours.js";
+
+// Import the last-known-good store (stale answers while Jira is down)
+import lastKnownGood from "./last-known-good.js";
+
+// Import the background refresh scheduler
+import prewarm from "./prewarm.js";
+
+// Import the Jira webhook handler (schedule change events)
+import jiraWebhooks from "./jira-webhooks.js";
+
 // Initialize Express application
 const app = express();
 
-// Log startup with dashboard logger
-dashboard.logger.info("Starting server...");
-dashboard.logger.info("Configuration loaded", { port: config.server.port });
+// Log startup with dashboard logger
+dashboard.logger.info("Starting server...");
+dashboard.logger.info("Configuration loaded", { port: config.server.port });
+
+// Initialize the console dashboard
+dashboard.initializeDashboard();
+
+/**
+ * Middleware Section
+ * -----------------
+ * Express middleware for request handling, logging, error management
+ */
+
+// Register built-in dashboard request tracking
+app.use(dashboard.requestTracking);
+
+/**
+ * Request tracking middleware
+ * Adds unique request ID and timing information to each request
+ * Logs request start and completion for audit and performance tracking
+ */
+app.use((req, res, next) => {
+  // Generate cryptographically non-secure but unique enough ID for request tracking
+  const requestId = Math.random().toString(36).substring(2, 15);
+  req.id = requestId;
+
+  // Extract client information for logging and troubleshooting
+  const clientIp =
+    req.headers["x-forwarded-for"] || req.connection.remoteAddress || "unknown";
+
+  const userAgent = req.headers["user-agent"] || "Unknown";
+
+  // Log request initiation with context details
+  dashboard.logger.info(`Request ${requestId} started`, {
+    method: req.method,
+    url: req.url,
+    ip: clientIp,
+    userAgent,
+  });
+
+  // Record starting timestamp for duration calculation
+  req.startTime = Date.now();
+
+  // Intercept response completion to log duration and status
+  const originalEnd = res.end;
+  res.end = function (chunk, encoding) {
+    // Restore original end function to avoid multiple intercepts
+    res.end = originalEnd;
+
+    // Call actual end function with original arguments
+    res.end(chunk, encoding);
+
+    // Calculate and log request duration and outcome
+    const duration = Date.now() - req.startTime;
+    const logLevel = res.statusCode >= 400 ? "warning" : "info";
+
+    dashboard.logger[logLevel](`Request ${requestId} completed`, {
+      method: req.method,
+      url: req.url,
+      statusCode: res.statusCode,
+      duration: `${duration}ms`,
+    });
+  };
+
+  next();
+});
+
+/**
+ * Error response helper middleware
+ * Standardizes error responses across the application
+ * Ensures consistent error format and logging
+ */
+app.use((req, res, next) => {
+  res.sendError = (status, message, details = null) => {
+    const errorId = `err-${Date.now()}-${Math.random()
+      .toString(36)
+      .substring(2, 7)}`;
+
+    // Log the error with context
+    dashboard.logger.warning(`Error in request ${req.id}`, {
+      status,
+      message,
+      errorId,
+      details: details || {},
+    });
+
+    // Send standardized error response
+    res.status(status).json({
+      status: "error",
+      message: message,
+      errorId: errorId,
+    });
+  };
+  next();
+});
+
+/**
+ * Team Endpoints Configuration
+ * --------------------------
+ * Maps API endpoint paths to their corresponding team schedules in Jira.
+ * The mapping lives in the team registry file (see team-registry.js) and is
+ * reloaded on change or SIGHUP without restarting the server.
+ */
+
+/**
+ * Masks a phone number for logging, keeping only the last 4 digits
+ *
+ * @param {string} phoneNumber - Phone number to mask
+ * @returns {string} Masked phone number
+ */
+function maskPhoneNumber(phoneNumber) {
+  return phoneNumber && phoneNumber.length > 4
+    ? `****${phoneNumber.substring(phoneNumber.length - 4)}`
+    : "****";
+}
+
+// Response formats supported by team lookups, keyed by ?format= value
+const RESPONSE_FORMATS = {
+  text: "text/plain",
+  json: "application/json",
+  xml: "application/xml",
+};
+
+/**
+ * Determines the response format for a team lookup
+ * An explicit `?format=` wins over the Accept header; plain text is the
+ * default so existing CCX scripts keep working unchanged.
+ *
+ * @param {Object} req - Express request object
+ * @returns {string|null} "text", "json", "xml", or null if unsupported
+ */
+function negotiateFormat(req) {
+  if (req.query.format) {
+    const format = String(req.query.format).toLowerCase();
+    return RESPONSE_FORMATS[format] ? format : null;
+  }
+
+  const accepted = req.accepts(["text/plain", "application/json", "xml"]);
+  if (accepted === "application/json") return "json";
+  if (accepted === "xml") return "xml";
+  return "text";
+}
+
+/**
+ * Escapes a value for use as XML element content
+ *
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Sends an on-call lookup result in the negotiated format
+ *
+ * Text responses are the bare number. JSON and XML responses carry the
+ * number plus the on-call name, team, schedule, rotation end and tier so CCX
+ * scripts can read them with the "Create XML Document" / XPath steps.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} result - Lookup result fields
+ */
+function sendOnCallResponse(req, res, result) {
+  const format = negotiateFormat(req) || "text";
+  // The body depends on Accept, so caches must not mix formats
+  res.vary("Accept");
+
+  if (format === "text") {
+    return res.send(result.number);
+  }
+
+  if (format === "json") {
+    return res.json(result);
+  }
+
+  const elements = Object.entries(result)
+    .map(([key, value]) => `  <${key}>${escapeXml(value)}</${key}>`)
+    .join("\n");
+  res
+    .type("application/xml")
+    .send(
+      `<?xml version="1.0" encoding="UTF-8"?>\n<onCall>\n${elements}\n</onCall>`
+    );
+}
+
+/**
+ * Checks whether a team lookup asks for the ranked number list (?all=true)
+ *
+ * @param {Object} req - Express request object
+ * @returns {boolean} True for list lookups
+ */
+function isListLookup(req) {
+  return req.query.all === "true";
+}
+
+/**
+ * Sends a ranked on-call number list in the negotiated format
+ *
+ * Text responses are the numbers separated by commas, highest ranked first.
+ * JSON and XML responses list each number with the person, tier and rotation
+ * so CCX scripts can loop through them when a call is not answered.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} list - team, at and the ranked entries (number, name, tier,
+ *        rotation, scheduleId, rotationEnd)
+ */
+function sendOnCallListResponse(req, res, list) {
+  const format = negotiateFormat(req) || "text";
+  res.vary("Accept");
+  const numbers = list.participants.map((entry) => entry.number);
+
+  if (format === "text") {
+    return res.send(numbers.join(","));
+  }
+
+  if (format === "json") {
+    return res.json({ ...list, numbers });
+  }
+
+  const toXml = (fields, indent) =>
+    Object.entries(fields)
+      .map(([key, value]) => `${indent}<${key}>${escapeXml(value)}</${key}>`)
+      .join("\n");
+  const { participants, ...fields } = list;
+  const entries = participants
+    .map(
+      (entry) => `  <participant>\n${toXml(entry, "    ")}\n  </participant>`
+    )
+    .join("\n");
+  res
+    .type("application/xml")
+    .send(
+      `<?xml version="1.0" encoding="UTF-8"?>\n<onCallList>\n${toXml(
+        fields,
+        "  "
+      )}\n${entries}\n</onCallList>`
+    );
+}
+
+/**
+ * Sends the response for a failed team lookup
+ *
+ * Outside CCX mode this is a standard JSON error. In CCX mode the caller
+ * always gets a 200 with a dialable number (in the negotiated format) - the team's
+ * `fallbackNumber` or the global default - because CCX transfer steps cannot
+ * handle error bodies. The real failure reason goes in the
+ * `X-OnCall-Failure` header and the logs.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object|null} team - Team entry, or null if the team is unknown
+ * @param {number} status - HTTP status used outside CCX mode
+ * @param {string} message - Failure reason
+ */
+function sendLookupFailure(req, res, team, status, message) {
+  const ccxMode = team?.ccxMode ?? config.ccx.defaultMode;
+  if (!ccxMode) {
+    return res.sendError(status, message, { team: team?.endpoint });
+  }
+
+  // A team number that formats to nothing would leave CCX nothing to dial
+  const teamNumber = team?.fallbackNumber
+    ? directClient.formatPhoneNumber(team.fallbackNumber)
+    : "";
+  const fallbackNumber =
+    teamNumber || directClient.formatPhoneNumber(config.defaultPhoneNumber);
+
+  dashboard.logger.warning(`Lookup failed, returning CCX fallback number`, {
+    requestId: req.id,
+    team: team?.endpoint,
+    status,
+    reason: message,
+    source: teamNumber ? "team" : "default",
+    number: maskPhoneNumber(fallbackNumber),
+  });
+
+  // Header values must be single-line ASCII
+  const headerReason = String(message)
+    .replace(/[^\x20-\x7E]/g, " ")
+    .substring(0, 200);
+
+  res.set("X-OnCall-Tier", "fallback");
+  res.set("X-OnCall-Failure", headerReason);
+  res.status(200);
+
+  if (isListLookup(req)) {
+    return sendOnCallListResponse(req, res, {
+      team: team?.endpoint || null,
+      at: null,
+      failure: message,
+      participants: [
+        {
+          rank: 1,
+          number: fallbackNumber,
+          name: null,
+          tier: "fallback",
+          rotation: null,
+          scheduleId: team?.scheduleId || null,
+          rotationEnd: null,
+        },
+      ],
+    });
+  }
+
+  sendOnCallResponse(req, res, {
+    number: fallbackNumber,
+    name: null,
+    team: team?.endpoint || null,
+    scheduleId: team?.scheduleId || null,
+    rotationEnd: null,
+    tier: "fallback",
+    at: null,
+    failure: message,
+  });
+}
+
+/**
+ * Resolves a team's on-call number from an active local override
+ *
+ * Overrides take precedence over Jira. If an email override cannot be found
+ * in the directory the lookup falls through to Jira rather than failing.
+ *
+ * @param {Object} team - Team entry from the registry
+ * @param {string|null} at - ISO timestamp being resolved (null for now)
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<Object|null>} Resolution, or null if no override applies
+ */
+async function resolveOverride(team, at, requestId) {
+  const override = overrideStore.getActiveOverride(team.endpoint, at);
+  if (!override) {
+    return null;
+  }
+
+  let phoneNumber = null;
+  try {
+    phoneNumber = override.phoneNumber
+      ? directClient.formatPhoneNumber(override.phoneNumber)
+      : await directClient.getPhoneNumberByEmail(override.email, requestId);
+  } catch (err) {
+    dashboard.logger.warning(`Override lookup failed, falling back to Jira`, {
+      requestId,
+      team: team.endpoint,
+      overrideId: override.id,
+      error: err.message,
+    });
+    return null;
+  }
+
+  if (!phoneNumber) {
+    dashboard.logger.warning(`Override has no dialable number, using Jira`, {
+      requestId,
+      team: team.endpoint,
+      overrideId: override.id,
+    });
+    return null;
+  }
+
+  dashboard.logger.info(`Using local override for ${team.displayName}`, {
+    requestId,
+    overrideId: override.id,
+    end: override.end,
+    reason: override.reason,
+  });
+
+  return {
+    phoneNumber,
+    tier: "override",
+    displayName: override.name || override.email || null,
+    email: override.email,
+    scheduleId: null,
+    shiftEnd: override.end,
+    team: team.endpoint,
+    at: at || new Date().toISOString(),
+    overrideId: override.id,
+  };
+}
+
+/**
+ * Checks whether a team with "businessHours" is inside its staffed hours
+ * Holidays and times outside every window count as out of hours.
+ *
+ * @param {Object} team - Team entry from the registry
+ * @param {string|null} at - ISO timestamp being resolved (null for now)
+ * @param {string} requestId - Request ID for logging
+ * @returns {boolean} True if the team's desk should answer
+ */
+function isInBusinessHours(team, at, requestId) {
+  if (!team.businessHours) {
+    return false;
+  }
+
+  const hours = team.businessHours;
+  // Windows are in the team's timezone unless the block sets its own
+  const check = businessHours.checkBusinessHours(
+    { ...hours, timezone: hours.timezone || team.timezone },
+    at
+  );
+  dashboard.logger.info(`Business-hours check for ${team.displayName}`, {
+    requestId,
+    team: team.endpoint,
+    inHours: check.inHours,
+    reason: check.reason,
+    localTime: check.localTime,
+  });
+  return check.inHours;
+}
+
+/**
+ * Builds the pseudo-team used to resolve a team's daytime schedule
+ * It is resolved like a team of its own, without escalation.
+ *
+ * @param {Object} team - Team entry from the registry
+ * @returns {Object} Team entry for the daytime schedule
+ */
+function businessHoursTeam(team) {
+  const hours = team.businessHours;
+  return {
+    endpoint: team.endpoint,
+    displayName: team.displayName,
+    schedule: hours.schedule || null,
+    scheduleId: hours.scheduleId || null,
+    provider: team.provider,
+  };
+}
+
+/**
+ * Formats a team's in-hours desk number
+ * A configured number without digits is logged and skipped, so the daytime
+ * schedule or the on-call rotation answers instead.
+ *
+ * @param {Object} team - Team entry with `businessHours`
+ * @param {string} requestId - Request ID for logging
+ * @returns {string|null} Dialable number, or null if there is none
+ */
+function businessHoursNumber(team, requestId) {
+  const raw = team.businessHours.phoneNumber;
+  if (!raw) {
+    return null;
+  }
+
+  const phoneNumber = directClient.formatPhoneNumber(raw);
+  if (!phoneNumber) {
+    dashboard.logger.warning(
+      `Business-hours number for ${team.displayName} cannot be dialed`,
+      { requestId, team: team.endpoint, phoneNumber: raw }
+    );
+    return null;
+  }
+  return phoneNumber;
+}
+
+/**
+ * Resolves a team's in-hours number when it is inside business hours
+ *
+ * Teams with "businessHours" route to their desk during staffed hours, either
+ * a fixed number or a separate daytime schedule. Holidays, times outside
+ * every window and desk numbers or daytime schedules that cannot be resolved
+ * fall through to the on-call rotation.
+ *
+ * @param {Object} team - Team entry from the registry
+ * @param {string|null} at - ISO timestamp being resolved (null for now)
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<Object|null>} Resolution, or null to use the rotation
+ */
+async function resolveBusinessHours(team, at, requestId) {
+  if (!isInBusinessHours(team, at, requestId)) {
+    return null;
+  }
+
+  const hours = team.businessHours;
+  const deskNumber = businessHoursNumber(team, requestId);
+  if (deskNumber) {
+    return {
+      phoneNumber: deskNumber,
+      tier: "businessHours",
+      displayName: hours.name || null,
+      email: null,
+      scheduleId: null,
+      shiftEnd: null,
+      team: team.endpoint,
+      at: at || new Date().toISOString(),
+    };
+  }
+  if (!hours.schedule && !hours.scheduleId) {
+    return null;
+  }
+
+  // A failing daytime schedule must not block the call; the rotation answers
+  try {
+    const resolution = await directClient.resolveTeamOnCall(
+      businessHoursTeam(team),
+      requestId,
+      { at }
+    );
+    return { ...resolution, tier: "businessHours" };
+  } catch (error) {
+    dashboard.logger.warning(
+      `Business-hours schedule lookup failed for ${team.displayName}, using the on-call rotation`,
+      { requestId, team: team.endpoint, error: error.message }
+    );
+    return null;
+  }
+}
+
+/**
+ * Builds the error for a lookup whose schedule tiers failed because Jira or
+ * the directory was unavailable
+ *
+ * @param {Array<Object>} failures - Failed tiers of the lookup
+ * @returns {Error|null} Error describing the outage, or null if the primary
+ *          schedule did not fail that way
+ */
+function scheduleOutage(failures = []) {
+  const outages = failures.filter(
+    (failure) =>
+      failure.unavailable &&
+      (failure.tier === "primary" || failure.tier === "participant")
+  );
+  if (outages.length === 0) {
+    return null;
+  }
+
+  const error = new Error(
+    outages.map((failure) => `${failure.tier}: ${failure.reason}`).join("; ")
+  );
+  error.failures = failures;
+  return error;
+}
+
+/**
+ * Resolves a team's on-call number from Jira, falling back to its last
+ * known good answer if the lookup fails
+ *
+ * The last known good answer is also preferred over a static escalation
+ * tier (team lead, hunt group) reached only because Jira or the directory
+ * was down. Only live lookups are recorded and served stale; a
+ * point-in-time lookup for another moment cannot be answered from an old
+ * "now".
+ *
+ * @param {Object} team - Team entry from the registry
+ * @param {string|null} at - ISO timestamp being resolved (null for now)
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<Object>} Resolution (with `stale: true` if served stale)
+ */
+async function resolveFromJira(team, at, requestId) {
+  if (at) {
+    return directClient.resolveTeamOnCall(team, requestId, { at });
+  }
+
+  try {
+    const resolution = await directClient.resolveTeamOnCall(team, requestId);
+    // Only answers from a schedule are worth replaying; static escalation
+    // tiers (team lead, hunt group) answer again without Jira anyway
+    if (resolution.scheduleId) {
+      lastKnownGood.record(team, resolution);
+      return resolution;
+    }
+
+    const outage = scheduleOutage(resolution.failures);
+    return (
+      (outage && lastKnownGood.getStale(team, requestId, outage)) || resolution
+    );
+  } catch (error) {
+    const stale = lastKnownGood.getStale(team, requestId, error);
+    if (stale) {
+      return stale;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Converts a single resolution into an on-call list entry
+ *
+ * @param {Object} resolution - Override, business-hours or stale resolution
+ * @returns {Object} List entry (see directClient.resolveTeamParticipants)
+ */
+function toListEntry(resolution) {
+  return {
+    tier: resolution.tier,
+    participantId: null,
+    displayName: resolution.displayName || null,
+    email: resolution.email || null,
+    phoneNumber: resolution.phoneNumber || null,
+    rotation: null,
+    override: resolution.tier === "override",
+    scheduleId: resolution.scheduleId || null,
+    scheduleName: resolution.scheduleName || null,
+    shiftEnd: resolution.shiftEnd || null,
+  };
+}
+
+/**
+ * Resolves a team's in-hours list entries when it is inside business hours
+ * Like resolveBusinessHours, a daytime schedule that cannot be resolved
+ * falls through to the on-call rotation.
+ *
+ * @param {Object} team - Team entry from the registry
+ * @param {string|null} at - ISO timestamp being resolved (null for now)
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<Array<Object>|null>} List entries, or null to use the
+ *          rotation
+ */
+async function resolveBusinessHoursList(team, at, requestId) {
+  if (!isInBusinessHours(team, at, requestId)) {
+    return null;
+  }
+
+  const hours = team.businessHours;
+  const deskNumber = businessHoursNumber(team, requestId);
+  if (deskNumber) {
+    return [
+      toListEntry({
+        phoneNumber: deskNumber,
+        tier: "businessHours",
+        displayName: hours.name || null,
+      }),
+    ];
+  }
+  if (!hours.schedule && !hours.scheduleId) {
+    return null;
+  }
+
+  try {
+    const list = await directClient.resolveTeamParticipants(
+      businessHoursTeam(team),
+      requestId,
+      { at }
+    );
+    return list.participants.map((entry) => ({
+      ...entry,
+      tier: "businessHours",
+    }));
+  } catch (error) {
+    dashboard.logger.warning(
+      `Business-hours schedule lookup failed for ${team.displayName}, using the on-call rotation`,
+      { requestId, team: team.endpoint, error: error.message }
+    );
+    return null;
+  }
+}
+
+/**
+ * Resolves a team's ranked on-call list
+ *
+ * An active override ranks first. Inside business hours the desk number or
+ * every participant of the daytime schedule follows; otherwise every
+ * participant of the team's schedule and its escalation tiers. If a live
+ * lookup fails, the team's last known good answer is used instead; if only
+ * the team's schedule failed because Jira or the directory was down, that
+ * answer ranks ahead of the remaining tiers.
+ *
+ * @param {Object} team - Team entry from the registry
+ * @param {string|null} at - ISO timestamp being resolved (null for now)
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<Object>} at, the ranked participants, the failures of
+ *          skipped tiers and `stale`/`staleSince` if served stale
+ */
+async function resolveOnCallList(team, at, requestId) {
+  const entries = [];
+  let failures = [];
+  let stale = null;
+
+  const override = await resolveOverride(team, at, requestId);
+  if (override) {
+    entries.push(toListEntry(override));
+  }
+
+  try {
+    const businessHoursEntries = await resolveBusinessHoursList(
+      team,
+      at,
+      requestId
+    );
+    if (businessHoursEntries) {
+      entries.push(...businessHoursEntries);
+    } else {
+      const list = await directClient.resolveTeamParticipants(team, requestId, {
+        at,
+      });
+      const outage = at ? null : scheduleOutage(list.failures);
+      stale = outage && lastKnownGood.getStale(team, requestId, outage);
+      if (stale) {
+        entries.push(toListEntry(stale));
+      }
+      entries.push(...list.participants);
+      failures = list.failures;
+    }
+  } catch (error) {
+    stale = at ? null : lastKnownGood.getStale(team, requestId, error);
+    if (stale) {
+      entries.push(toListEntry(stale));
+    } else if (!override) {
+      throw error;
+    }
+    failures = error.failures || [{ tier: "primary", reason: error.message }];
+  }
+
+  return {
+    at: at || new Date().toISOString(),
+    participants: entries.map(({ rank, ...entry }, index) => ({
+      rank: index + 1,
+      ...entry,
+    })),
+    failures,
+    ...(stale && { stale: true, staleSince: stale.staleSince }),
+  };
+}
+
+/**
+ * Handles a ranked number list lookup (?all=true) for a specific team
+ *
+ * Every dialable number is returned once, highest ranked first, so CCX can
+ * try the next one when a call is not answered.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} team - Team entry from the registry
+ * @param {string|null} at - ISO timestamp being resolved (null for now)
+ * @returns {Promise<void>} - Sends HTTP response with the numbers or error
+ */
+async function handleTeamListLookup(req, res, team, at) {
+  const friendlyTeamName = team.displayName;
+
+  try {
+    const list = await resolveOnCallList(team, at, req.id);
+
+    // The same person can be on several rotations or tiers
+    const seen = new Set();
+    const dialable = list.participants.filter((entry) => {
+      if (!entry.phoneNumber || seen.has(entry.phoneNumber)) return false;
+      seen.add(entry.phoneNumber);
+      return true;
+    });
+
+    if (dialable.length === 0) {
+      return sendLookupFailure(
+        req,
+        res,
+        team,
+        404,
+        `No on-call phone number found for ${friendlyTeamName} team`
+      );
+    }
+
+    dashboard.logger.success(`${friendlyTeamName} on-call list found`, {
+      requestId: req.id,
+      team: team.endpoint,
+      tiers: dialable.map((entry) => entry.tier),
+      ...(list.stale && { stale: true }),
+      numbers: dialable.map((entry) => maskPhoneNumber(entry.phoneNumber)),
+    });
+
+    res.set("X-OnCall-Tier", dialable[0].tier);
+    if (list.stale) {
+      res.set("X-OnCall-Stale", "true");
+      res.set("X-OnCall-Stale-Since", list.staleSince);
+    }
+
+    sendOnCallListResponse(req, res, {
+      team: team.endpoint,
+      at: list.at,
+      ...(list.stale && { stale: true, staleSince: list.staleSince }),
+      participants: dialable.map((entry, index) => ({
+        rank: index + 1,
+        number: entry.phoneNumber,
+        name: entry.displayName,
+        tier: entry.tier,
+        rotation: entry.rotation,
+        scheduleId: entry.scheduleId,
+        rotationEnd: entry.shiftEnd,
+      })),
+    });
+  } catch (err) {
+    dashboard.logger.error(`Error processing ${friendlyTeamName} request`, {
+      requestId: req.id,
+      team: team.endpoint,
+      error: err.message,
+      stack: err.stack,
+    });
+
+    return sendLookupFailure(
+      req,
+      res,
+      team,
+      500,
+      err.message || "Internal server error processing on-call lookup"
+    );
+  }
+}
+
+/**
+ * Handles on-call phone number lookup for a specific team
+ *
+ * This centralized handler eliminates duplicate code across team endpoints
+ * and provides consistent error handling and response formatting.
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} team - Team entry from the registry
+ * @returns {Promise<void>} - Sends HTTP response with phone number or error
+ */
+async function handleTeamPhoneLookup(req, res, team) {
+  const friendlyTeamName = team.displayName;
+
+  // Bad requests still get the fallback number in CCX mode (as plain text
+  // when the format is unknown)
+  if (!negotiateFormat(req)) {
+    return sendLookupFailure(
+      req,
+      res,
+      team,
+      400,
+      `Unsupported format "${req.query.format}" (use text, json or xml)`
+    );
+  }
+
+  // Optional point-in-time lookup ("who is on call at 02:00 Saturday")
+  let at = null;
+  if (req.query.at) {
+    // Local timestamps are read in the team's timezone if it sets one
+    const queryTime = directClient.parseQueryTime(
+      req.query.at,
+      team.timezone || undefined
+    );
+    if (!queryTime) {
+      return sendLookupFailure(
+        req,
+        res,
+        team,
+        400,
+        `Invalid "at" timestamp "${req.query.at}" (use ISO 8601)`
+      );
+    }
+    at = queryTime.toISOString();
+  }
+
+  dashboard.logger.info(`Processing ${friendlyTeamName} on-call lookup`, {
+    requestId: req.id,
+    team: team.endpoint,
+    // Schedule IDs survive renames in Jira, so they are preferred when configured
+    schedule: team.scheduleId || team.schedule,
+    ...(at && { at }),
+    ...(isListLookup(req) && { all: true }),
+  });
+
+  if (isListLookup(req)) {
+    return handleTeamListLookup(req, res, team, at);
+  }
+
+  try {
+    // Local overrides win, then the in-hours desk; otherwise retrieve the
+    // on-call phone number via the client, following the team's escalation
+    // policy if configured
+    const resolution =
+      (await resolveOverride(team, at, req.id)) ||
+      (await resolveBusinessHours(team, at, req.id)) ||
+      (await resolveFromJira(team, at, req.id));
+    const phoneNumber = resolution.phoneNumber;
+
+    // Handle case when no phone number is found
+    if (!phoneNumber) {
+      return sendLookupFailure(
+        req,
+        res,
+        team,
+        404,
+        `No on-call phone number found for ${friendlyTeamName} team`
+      );
+    }
+
+    // Log successful lookup
+    dashboard.logger.success(`${friendlyTeamName} phone number found`, {
+      requestId: req.id,
+      team: team.endpoint,
+      tier: resolution.tier,
+      ...(resolution.stale && { stale: true }),
+      // Mask full number in logs for privacy - show only last 4 digits
+      number: maskPhoneNumber(phoneNumber),
+    });
+
+    // Record which escalation tier answered without changing the body
+    res.set("X-OnCall-Tier", resolution.tier);
+    if (resolution.stale) {
+      res.set("X-OnCall-Stale", "true");
+      res.set("X-OnCall-Stale-Since", resolution.staleSince);
+    }
+
+    // Send phone number as plain text by default
+    // This format is required for compatibility with existing systems
+    sendOnCallResponse(req, res, {
+      number: phoneNumber,
+      name: resolution.displayName || null,
+      team: team.endpoint,
+      scheduleId: resolution.scheduleId || null,
+      rotationEnd: resolution.shiftEnd || null,
+      tier: resolution.tier,
+      at: resolution.at,
+      ...(resolution.stale && {
+        stale: true,
+        staleSince: resolution.staleSince,
+      }),
+    });
+  } catch (err) {
+    // Detailed error logging
+    dashboard.logger.error(`Error processing ${friendlyTeamName} request`, {
+      requestId: req.id,
+      team: team.endpoint,
+      error: err.message,
+      stack: err.stack,
+    });
+
+    // Determine if this is a known error type or generic server error
+    const errorMessage =
+      err.message || "Internal server error processing on-call lookup";
+
+    // Send formatted error response (or the fallback number in CCX mode)
+    return sendLookupFailure(req, res, team, 500, errorMessage);
+  }
+}
+
+/**
+ * Resolves a team reference from the generic /oncall/:team route
+ *
+ * The reference is tried, in order, as a registry endpoint slug, then as a
+ * Jira schedule ID or schedule name (exact or normalized; a caller-supplied
+ * name is never fuzzy-matched, so a typo cannot route to another team).
+ * Schedules that are not in the registry get an ad-hoc team entry so they
+ * share the same lookup path.
+ *
+ * @param {string} reference - Endpoint slug, schedule name or schedule ID
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<{team: Object|null, suggestion: Object|null}>} Team
+ *          entry, or null and the closest schedule if nothing matched
+ */
+async function resolveTeamReference(reference, requestId) {
+  const registeredTeam = teamRegistry.getTeam(reference);
+  if (registeredTeam) {
+    return { team: registeredTeam, suggestion: null };
+  }
+
+  const { schedule, suggestion } = await directClient.matchTeamSchedule(
+    reference,
+    requestId,
+    { fuzzy: false }
+  );
+  if (!schedule) {
+    return { team: null, suggestion };
+  }
+
+  // Addressing a registered team by its schedule keeps its per-team options
+  const teamBySchedule = teamRegistry
+    .getTeams()
+    .find(
+      (team) =>
+        team.provider === schedule.provider &&
+        (team.scheduleId === schedule.id || team.schedule === schedule.name)
+    );
+  if (teamBySchedule) {
+    return { team: teamBySchedule, suggestion: null };
+  }
+
+  // Keyed by schedule, not by the reference: every spelling of the same
+  // schedule shares one last known good answer and cache entry
+  return {
+    team: {
+      endpoint: `schedule:${schedule.id}`,
+      schedule: schedule.name,
+      scheduleId: schedule.id,
+      provider: schedule.provider,
+      displayName: schedule.name,
+    },
+    suggestion: null,
+  };
+}
+
+/**
+ * Builds the error message for a team reference that matched nothing
+ *
+ * @param {string} reference - Endpoint slug, schedule name or schedule ID
+ * @param {Object|null} suggestion - Closest schedule, if any
+ * @returns {string} Error message
+ */
+function unknownTeamMessage(reference, suggestion) {
+  return (
+    `Unknown team or schedule: ${reference}` +
+    (suggestion ? ` (did you mean "${suggestion.name}"?)` : "")
+  );
+}
+
+/**
+ * Generic team lookup endpoint
+ * Accepts an endpoint slug, Jira schedule name or Jira schedule ID so CCX
+ * scripts can pass the team as a variable
+ * @route GET /oncall/:team
+ */
+app.get("/oncall/:team", async function (req, res) {
+  const reference = req.params.team;
+
+  try {
+    const { team, suggestion } = await resolveTeamReference(reference, req.id);
+    if (!team) {
+      return sendLookupFailure(
+        req,
+        res,
+        null,
+        404,
+        unknownTeamMessage(reference, suggestion)
+      );
+    }
+
+    await handleTeamPhoneLookup(req, res, team);
+  } catch (err) {
+    dashboard.logger.error(`Error resolving team reference`, {
+      requestId: req.id,
+      team: reference,
+      error: err.message,
+      stack: err.stack,
+    });
+    return sendLookupFailure(req, res, null, 500, err.message);
+  }
+});
+
+// Longest range the timeline endpoint will walk, and its default length
+const TIMELINE_MAX_DAYS = 31;
+const TIMELINE_DEFAULT_DAYS = 7;
+
+// Most on-call samples one timeline may take when the schedule's exact
+// hand-offs are not available
+const TIMELINE_MAX_QUERIES = 500;
+
+// Timeline requests per caller in the current minute: { start, count }
+const timelineRequests = new Map();
+
+/**
+ * Limits timeline requests per caller (TIMELINE_RATE_LIMIT_PER_MINUTE)
+ * Timelines share Jira's rate limit and circuit with live lookups.
+ */
+function limitTimelineRequests(req, res, next) {
+  const limit = config.timeline.rateLimitPerMinute;
+  if (!limit) {
+    return next();
+  }
+
+  const now = Date.now();
+  for (const [caller, window] of timelineRequests) {
+    if (now - window.start >= 60 * 1000) timelineRequests.delete(caller);
+  }
+
+  const window = timelineRequests.get(req.ip) || { start: now, count: 0 };
+  timelineRequests.set(req.ip, window);
+  if (++window.count > limit) {
+    res.set(
+      "Retry-After",
+      String(Math.ceil((window.start + 60 * 1000 - now) / 1000))
+    );
+    return res.sendError(
+      429,
+      `Too many timeline requests (limit ${limit} per minute)`
+    );
+  }
+
+  next();
+}
+
+/**
+ * Rotation timeline endpoint
+ * Returns who is on call for a team over a date range, with masked
+ * directory phone numbers, so coverage can be checked without JSM access
+ * @route GET /teams/:team/schedule?from=&to=&step=
+ */
+app.get(
+  "/teams/:team/schedule",
+  limitTimelineRequests,
+  async function (req, res) {
+    const reference = req.params.team;
+
+    const from = req.query.from
+      ? directClient.parseQueryTime(req.query.from)
+      : dayjs();
+    const to = req.query.to
+      ? directClient.parseQueryTime(req.query.to)
+      : from?.add(TIMELINE_DEFAULT_DAYS, "day");
+    const stepMinutes = req.query.step ? parseInt(req.query.step, 10) : 60;
+
+    if (!from || !to) {
+      return res.sendError(
+        400,
+        `Invalid "from" or "to" timestamp (use ISO 8601)`
+      );
+    }
+    if (!to.isAfter(from)) {
+      return res.sendError(400, `"to" must be after "from"`);
+    }
+    if (to.diff(from, "day", true) > TIMELINE_MAX_DAYS) {
+      return res.sendError(
+        400,
+        `Range too long (maximum ${TIMELINE_MAX_DAYS} days)`
+      );
+    }
+    if (
+      !Number.isInteger(stepMinutes) ||
+      stepMinutes < 5 ||
+      stepMinutes > 1440
+    ) {
+      return res.sendError(400, `"step" must be 5-1440 minutes`);
+    }
+    if (to.diff(from, "minute", true) / stepMinutes > TIMELINE_MAX_QUERIES) {
+      return res.sendError(
+        400,
+        `Range needs more than ${TIMELINE_MAX_QUERIES} samples at a ${stepMinutes}-minute step; narrow the range or raise "step"`
+      );
+    }
+
+    try {
+      const { team, suggestion } = await resolveTeamReference(
+        reference,
+        req.id
+      );
+      if (!team) {
+        return res.sendError(404, unknownTeamMessage(reference, suggestion));
+      }
+
+      const schedule = await directClient.getTeamSchedule(
+        team.scheduleId || team.schedule,
+        req.id,
+        { aliases: team.aliases, provider: team.provider }
+      );
+      if (!schedule) {
+        return res.sendError(404, `No schedule found for team: ${reference}`);
+      }
+
+      const segments = await directClient.getScheduleTimeline(
+        schedule.id,
+        from.toISOString(),
+        to.toISOString(),
+        req.id,
+        {
+          stepMinutes,
+          maxQueries: TIMELINE_MAX_QUERIES,
+          timeZone: team.timezone,
+          provider: schedule.provider,
+        }
+      );
+
+      res.status(200).json({
+        status: "ok",
+        team: team.endpoint,
+        displayName: team.displayName,
+        scheduleId: schedule.id,
+        scheduleName: schedule.name,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        segments: segments.map((segment) => ({
+          ...segment,
+          // Never expose full directory numbers from this endpoint
+          phoneNumber: segment.phoneNumber
+            ? maskPhoneNumber(segment.phoneNumber)
+            : null,
+        })),
+      });
+    } catch (err) {
+      dashboard.logger.error(`Error building schedule timeline`, {
+        requestId: req.id,
+        team: reference,
+        error: err.message,
+        stack: err.stack,
+      });
+      return res.sendError(500, err.message, { team: reference });
+    }
+  }
+);
+
+/**
+ * Participants endpoint
+ * Returns everyone a team lookup could route to right now (or at `?at=`), in
+ * rank order with their tier, rotation and masked directory phone, including
+ * participants who cannot be reached and why
+ * @route GET /teams/:team/participants?at=
+ */
+app.get("/teams/:team/participants", async function (req, res) {
+  const reference = req.params.team;
+
+  try {
+    const { team, suggestion } = await resolveTeamReference(reference, req.id);
+    if (!team) {
+      return res.sendError(404, unknownTeamMessage(reference, suggestion));
+    }
+
+    let at = null;
+    if (req.query.at) {
+      const queryTime = directClient.parseQueryTime(
+        req.query.at,
+        team.timezone || undefined
+      );
+      if (!queryTime) {
+        return res.sendError(
+          400,
+          `Invalid "at" timestamp "${req.query.at}" (use ISO 8601)`
+        );
+      }
+      at = queryTime.toISOString();
+    }
+
+    const list = await resolveOnCallList(team, at, req.id);
+
+    res.status(200).json({
+      status: "ok",
+      team: team.endpoint,
+      displayName: team.displayName,
+      ...list,
+      participants: list.participants.map((entry) => ({
+        ...entry,
+        // Never expose full directory numbers from this endpoint
+        phoneNumber: entry.phoneNumber
+          ? maskPhoneNumber(entry.phoneNumber)
+          : null,
+      })),
+    });
+  } catch (err) {
+    dashboard.logger.error(`Error listing on-call participants`, {
+      requestId: req.id,
+      team: reference,
+      error: err.message,
+      stack: err.stack,
+    });
+    return res.sendError(500, err.message, { team: reference });
+  }
+});
+
+// Team routes live on their own router so they can be swapped out whenever
+// the registry changes; Express has no way to remove individual routes
+let teamRouter = express.Router();
+app.use((req, res, next) => teamRouter(req, res, next));
 
-// Initialize the console dashboard
-dashboard.initializeDashboard();
+/**
+ * Rebuilds the team router from the current registry contents
+ *
+ * @param {Array<Object>} teams - Team entries from the registry
+ */
+function registerTeamRoutes(teams) {
+  const router = express.Router();
+
+  teams.forEach((team) => {
+    // Express requires a leading slash for routes
+    const path = `/${team.endpoint}`;
+
+    // Register GET handler for this team endpoint
+    router.get(path, async (req, res) => {
+      await handleTeamPhoneLookup(req, res, team);
+    });
+
+    // Log endpoint registration
+    dashboard.logger.info(
+      `Registered team endpoint: ${path} → ${team.scheduleId || team.schedule}`
+    );
+  });
+
+  teamRouter = router;
+
+  // Keep dashboard counters in step with the registered endpoints
+  dashboard.setTeams(teams.map((team) => team.endpoint));
+}
+
+// Load the registry, register routes and follow future changes
+teamRegistry.onChange(registerTeamRoutes);
+teamRegistry.load();
+teamRegistry.watch();
+
+// Rotated Jira tokens are picked up on SIGHUP without a restart
+jiraCredentials.listen();
 
 /**
- * Middleware Section
- * -----------------
- * Express middleware for request handling, logging, error management
+ * Admin Endpoints
+ * --------------
+ * Authenticated endpoints for managing team-to-schedule mappings at runtime.
+ * Changes are saved to the team registry file and team routes are
+ * registered or removed immediately.
  */
 
-// Register built-in dashboard request tracking
-app.use(dashboard.requestTracking);
+/**
+ * Admin authentication middleware
+ * Requires `Authorization: Bearer <ADMIN_API_TOKEN>`; the admin API is
+ * disabled entirely when no token is configured.
+ */
+function requireAdminAuth(req, res, next) {
+  if (!config.admin.apiToken) {
+    return res.sendError(
+      503,
+      "Admin API is disabled (ADMIN_API_TOKEN not set)"
+    );
+  }
+
+  const header = req.headers.authorization || "";
+  const supplied = Buffer.from(header.replace(/^Bearer\s+/i, ""));
+  const expected = Buffer.from(config.admin.apiToken);
+
+  // Constant-time comparison to avoid leaking the token through timing
+  const authorized =
+    supplied.length === expected.length &&
+    crypto.timingSafeEqual(supplied, expected);
+
+  if (!authorized) {
+    return res.sendError(401, "Unauthorized", { path: req.path });
+  }
+
+  next();
+}
 
 /**
- * Request tracking middleware
- * Adds unique request ID and timing information to each request
- * Logs request start and completion for audit and performance tracking
+ * Verifies that a team entry points at a schedule that exists in Jira
+ * The schedule must match exactly or by normalized name; the closest fuzzy
+ * match is only offered as a suggestion.
+ *
+ * @param {Object} team - Normalized team entry
+ * @param {string} requestId - Request ID for logging
+ * @returns {Promise<{schedule: Object|null, suggestion: Object|null}>}
+ *          Matching Jira schedule, or null and the closest schedule
  */
-app.use((req, res, next) => {
-  // Generate cryptographically non-secure but unique enough ID for request tracking
-  const requestId = Math.random().toString(36).substring(2, 15);
-  req.id = requestId;
+async function verifyTeamSchedule(team, requestId) {
+  const { schedule, suggestion } = await directClient.matchTeamSchedule(
+    team.scheduleId || team.schedule,
+    requestId,
+    { aliases: team.aliases, provider: team.provider, fuzzy: false }
+  );
 
-  // Extract client information for logging and troubleshooting
-  const clientIp =
-    req.headers["x-forwarded-for"] || req.connection.remoteAddress || "unknown";
+  // When both are given they must refer to the same schedule
+  if (schedule && team.scheduleId && team.schedule) {
+    return schedule.name === team.schedule
+      ? { schedule, suggestion: null }
+      : { schedule: null, suggestion: schedule };
+  }
 
-  const userAgent = req.headers["user-agent"] || "Unknown";
+  return { schedule, suggestion };
+}
 
-  // Log request initiation with context details
-  dashboard.logger.info(`Request ${requestId} started`, {
-    method: req.method,
-    url: req.url,
-    ip: clientIp,
-    userAgent,
-  });
+/**
+ * Validates and saves a team entry from an admin request
+ *
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {string} endpoint - Endpoint slug being created or updated
+ * @param {number} successStatus - HTTP status to send on success
+ * @returns {Promise<void>}
+ */
+async function saveTeamFromRequest(req, res, endpoint, successStatus) {
+  const entry = req.body || {};
 
-  // Record starting timestamp for duration calculation
-  req.startTime = Date.now();
+  let team;
+  try {
+    team = teamRegistry.normalizeTeam(endpoint, entry);
+  } catch (err) {
+    return res.sendError(400, err.message, { team: endpoint });
+  }
 
-  // Intercept response completion to log duration and status
-  const originalEnd = res.end;
-  res.end = function (chunk, encoding) {
-    // Restore original end function to avoid multiple intercepts
-    res.end = originalEnd;
+  let schedule;
+  let suggestion;
+  try {
+    ({ schedule, suggestion } = await verifyTeamSchedule(team, req.id));
+  } catch (err) {
+    return res.sendError(502, "Unable to verify schedule against Jira", {
+      team: team.endpoint,
+      error: err.message,
+    });
+  }
 
-    // Call actual end function with original arguments
-    res.end(chunk, encoding);
+  if (!schedule) {
+    return res.sendError(
+      422,
+      `Schedule "${
+        team.scheduleId || team.schedule
+      }" does not resolve to a Jira schedule` +
+        (suggestion
+          ? ` (did you mean "${suggestion.name}", ID ${suggestion.id}?)`
+          : ""),
+      { team: team.endpoint }
+    );
+  }
 
-    // Calculate and log request duration and outcome
-    const duration = Date.now() - req.startTime;
-    const logLevel = res.statusCode >= 400 ? "warning" : "info";
+  try {
+    const saved = teamRegistry.saveTeam(team.endpoint, entry);
 
-    dashboard.logger[logLevel](`Request ${requestId} completed`, {
-      method: req.method,
-      url: req.url,
-      statusCode: res.statusCode,
-      duration: `${duration}ms`,
+    dashboard.logger.success(`Team mapping saved via admin API`, {
+      requestId: req.id,
+      team: saved.endpoint,
+      scheduleId: schedule.id,
+      scheduleName: schedule.name,
     });
-  };
 
-  next();
+    res.status(successStatus).json({
+      status: "ok",
+      team: saved,
+      resolvedSchedule: { id: schedule.id, name: schedule.name },
+    });
+  } catch (err) {
+    dashboard.logger.error(`Error saving team mapping`, {
+      requestId: req.id,
+      team: team.endpoint,
+      error: err.message,
+      stack: err.stack,
+    });
+    return res.sendError(500, "Error saving team registry", {
+      error: err.message,
+    });
+  }
+}
+
+const adminRouter = express.Router();
+adminRouter.use(requireAdminAuth);
+adminRouter.use(express.json());
+
+/**
+ * List all team mappings
+ * @route GET /admin/teams
+ */
+adminRouter.get("/teams", (req, res) => {
+  res.status(200).json({
+    status: "ok",
+    file: teamRegistry.getFilePath(),
+    loadedAt: teamRegistry.getLoadedAt(),
+    teams: teamRegistry.getTeams(),
+  });
 });
 
 /**
- * Error response helper middleware
- * Standardizes error responses across the application
- * Ensures consistent error format and logging
+ * Get a single team mapping
+ * @route GET /admin/teams/:endpoint
  */
-app.use((req, res, next) => {
-  res.sendError = (status, message, details = null) => {
-    const errorId = `err-${Date.now()}-${Math.random()
-      .toString(36)
-      .substring(2, 7)}`;
+adminRouter.get("/teams/:endpoint", (req, res) => {
+  const team = teamRegistry.getTeam(req.params.endpoint);
+  if (!team) {
+    return res.sendError(404, `Team not found: ${req.params.endpoint}`);
+  }
+  res.status(200).json({ status: "ok", team });
+});
 
-    // Log the error with context
-    dashboard.logger.warning(`Error in request ${req.id}`, {
-      status,
-      message,
-      errorId,
-      details: details || {},
+/**
+ * Create a team mapping; the endpoint slug is taken from the body
+ * @route POST /admin/teams
+ */
+adminRouter.post("/teams", async (req, res) => {
+  const endpoint = String(req.body?.endpoint || "").toLowerCase();
+  if (!endpoint) {
+    return res.sendError(400, `Request body needs an "endpoint" slug`);
+  }
+  if (teamRegistry.getTeam(endpoint)) {
+    return res.sendError(409, `Team already exists: ${endpoint}`);
+  }
+
+  await saveTeamFromRequest(req, res, endpoint, 201);
+});
+
+/**
+ * Replace an existing team mapping
+ * @route PUT /admin/teams/:endpoint
+ */
+adminRouter.put("/teams/:endpoint", async (req, res) => {
+  if (!teamRegistry.getTeam(req.params.endpoint)) {
+    return res.sendError(404, `Team not found: ${req.params.endpoint}`);
+  }
+
+  await saveTeamFromRequest(req, res, req.params.endpoint, 200);
+});
+
+/**
+ * Remove a team mapping and unregister its route
+ * @route DELETE /admin/teams/:endpoint
+ */
+adminRouter.delete("/teams/:endpoint", (req, res) => {
+  try {
+    if (!teamRegistry.removeTeam(req.params.endpoint)) {
+      return res.sendError(404, `Team not found: ${req.params.endpoint}`);
+    }
+
+    dashboard.logger.success(`Team mapping removed via admin API`, {
+      requestId: req.id,
+      team: req.params.endpoint,
     });
 
-    // Send standardized error response
-    res.status(status).json({
-      status: "error",
-      message: message,
-      errorId: errorId,
+    res.status(200).json({ status: "ok", removed: req.params.endpoint });
+  } catch (err) {
+    dashboard.logger.error(`Error removing team mapping`, {
+      requestId: req.id,
+      team: req.params.endpoint,
+      error: err.message,
+      stack: err.stack,
     });
-  };
-  next();
+    return res.sendError(500, "Error saving team registry", {
+      error: err.message,
+    });
+  }
 });
 
-/**
- * Team Endpoints Configuration
- * --------------------------
- * Maps API endpoint paths to their corresponding team names in Jira
- */
-
-// Team name mapping for endpoint -> Jira schedule name
-// IMPORTANT: These names must match EXACTLY how they appear in Jira schedules
-// or must be findable via the flexible search algorithm in directClient.getTeamSchedule
-const TEAM_MAPPING = {
-  helpdesk: "Help-Desk-schedule",
-  network: "Network-schedule",
-  ibmi: "IBM-i-schedule",
-  windows: "Windows-schedule",
-  sql: "SQL-schedule",
-  sharepoint: "SharePoint-schedule",
-};
+app.use("/admin", adminRouter);
 
 /**
- * Handles on-call phone number lookup for a specific team
- *
- * This centralized handler eliminates duplicate code across team endpoints
- * and provides consistent error handling and response formatting.
- *
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {string} teamName - The team name to look up in Jira schedules
- * @returns {Promise<void>} - Sends HTTP response with phone number or error
+ * Override Endpoints
+ * -----------------
+ * Authenticated endpoints for local on-call overrides that take precedence
+ * over Jira (e.g. during a JSM outage or an unrecorded swap)
  */
-async function handleTeamPhoneLookup(req, res, teamName) {
-  // Normalize team name for display (capitalizes first letter of each word)
-  const friendlyTeamName = teamName.replace(/\b\w/g, (char) =>
-    char.toUpperCase()
-  );
 
-  dashboard.logger.info(`Processing ${friendlyTeamName} on-call lookup`, {
-    requestId: req.id,
-    team: teamName,
+const overridesRouter = express.Router();
+overridesRouter.use(requireAdminAuth);
+overridesRouter.use(express.json());
+
+/**
+ * List overrides (all stored, or only active ones with ?active=true)
+ * @route GET /overrides
+ */
+overridesRouter.get("/", (req, res) => {
+  res.status(200).json({
+    status: "ok",
+    overrides: overrideStore.list({ activeOnly: req.query.active === "true" }),
   });
+});
+
+/**
+ * Create an override
+ * Body: { team, phoneNumber | email, name?, start?, end, reason? }
+ * @route POST /overrides
+ */
+overridesRouter.post("/", (req, res) => {
+  const input = req.body || {};
+
+  if (!teamRegistry.getTeam(input.team || "")) {
+    return res.sendError(400, `Unknown team: ${input.team}`);
+  }
 
   try {
-    // Attempt to retrieve the on-call phone number via the client
-    const phoneNumber = await directClient.getTeamOnCallPhoneNumber(
-      teamName,
-      req.id
-    );
+    overrideStore.normalizeOverride(input);
+  } catch (err) {
+    return res.sendError(400, err.message, { team: input.team });
+  }
 
-    // Handle case when no phone number is found
-    if (!phoneNumber) {
-      return res.sendError(
-        404,
-        `No on-call phone number found for ${friendlyTeamName} team`,
-        { team: teamName }
-      );
-    }
+  try {
+    const override = overrideStore.add(input);
 
-    // Log successful lookup
-    dashboard.logger.success(`${friendlyTeamName} phone number found`, {
+    dashboard.logger.success(`Override created via API`, {
       requestId: req.id,
-      team: teamName,
-      // Mask full number in logs for privacy - show only last 4 digits
-      number:
-        phoneNumber.length > 4
-          ? `****${phoneNumber.substring(phoneNumber.length - 4)}`
-          : "****",
+      id: override.id,
+      team: override.team,
+      number: override.phoneNumber
+        ? maskPhoneNumber(override.phoneNumber)
+        : undefined,
+      email: override.email || undefined,
     });
 
-    // Send phone number as plain text response
-    // This format is required for compatibility with existing systems
-    res.send(phoneNumber);
+    res.status(201).json({ status: "ok", override });
   } catch (err) {
-    // Detailed error logging
-    dashboard.logger.error(`Error processing ${friendlyTeamName} request`, {
+    dashboard.logger.error(`Error saving override`, {
       requestId: req.id,
-      team: teamName,
+      team: input.team,
+      error: err.message,
+    });
+    return res.sendError(500, "Error saving overrides", {
       error: err.message,
-      stack: err.stack,
     });
+  }
+});
 
-    // Determine if this is a known error type or generic server error
-    const errorMessage =
-      err.message || "Internal server error processing on-call lookup";
+/**
+ * Remove an override before it expires
+ * @route DELETE /overrides/:id
+ */
+overridesRouter.delete("/:id", (req, res) => {
+  try {
+    if (!overrideStore.remove(req.params.id)) {
+      return res.sendError(404, `Override not found: ${req.params.id}`);
+    }
+    res.status(200).json({ status: "ok", removed: req.params.id });
+  } catch (err) {
+    dashboard.logger.error(`Error removing override`, {
+      requestId: req.id,
+      id: req.params.id,
+      error: err.message,
+    });
+    return res.sendError(500, "Error saving overrides", {
+      error: err.message,
+    });
+  }
+});
+
+app.use("/overrides", overridesRouter);
+
+/**
+ * Webhook Endpoints
+ * ----------------
+ * Change events from JSM Ops, so schedule edits are picked up without waiting
+ * for cached answers to expire
+ */
+
+/**
+ * Receive a JSM Ops schedule, rotation or override change event
+ * Requires `X-Hub-Signature: sha256=<HMAC of body>` or `X-Webhook-Secret`
+ * matching JIRA_WEBHOOK_SECRET; disabled when no secret is configured.
+ * @route POST /webhooks/jira
+ */
+app.post(
+  "/webhooks/jira",
+  // Keep the raw body, the signature is computed over the exact bytes
+  express.json({
+    limit: "1mb",
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  }),
+  async (req, res) => {
+    if (!config.webhooks.secret) {
+      return res.sendError(
+        503,
+        "Jira webhooks are disabled (JIRA_WEBHOOK_SECRET not set)"
+      );
+    }
+
+    const verifiedBy = jiraWebhooks.verify(req.headers, req.rawBody);
+    if (!verifiedBy) {
+      dashboard.logger.warning(`Rejected Jira webhook with invalid signature`, {
+        requestId: req.id,
+        ip: req.ip,
+      });
+      return res.sendError(401, "Invalid webhook signature");
+    }
 
-    // Send formatted error response
-    return res.sendError(500, errorMessage, { team: teamName });
+    try {
+      const result = await jiraWebhooks.handleEvent(req.body, req.id);
+      res.status(202).json({ status: "accepted", verifiedBy, ...result });
+    } catch (err) {
+      dashboard.logger.error(`Error handling Jira webhook`, {
+        requestId: req.id,
+        error: err.message,
+      });
+      return res.sendError(500, "Error handling webhook event", {
+        error: err.message,
+      });
+    }
   }
-}
+);
 
-// Register all team endpoints using the mapping and shared handler
-Object.entries(TEAM_MAPPING).forEach(([endpoint, teamName]) => {
-  // Express requires a leading slash for routes
-  const path = `/${endpoint}`;
+// Answers saved before a restart can be served while upstream is unavailable
+lastKnownGood.load();
 
-  // Register GET handler for this team endpoint
-  app.get(path, async (req, res) => {
-    await handleTeamPhoneLookup(req, res, teamName);
+// Cached on-call answers must not outlive a change to the overrides
+overrideStore.onChange(() => {
+  const dropped = directClient.invalidateOnCallCache();
+  dashboard.logger.info(`Overrides changed, cleared on-call cache`, {
+    entries: dropped,
   });
-
-  // Log endpoint registration
-  dashboard.logger.info(`Registered team endpoint: ${path} → ${teamName}`);
 });
+// Load stored overrides and start expiring them automatically
+overrideStore.load();
+overrideStore.startExpiryTimer();
+
+// Keep every team's answer warm so calls are answered from memory
+prewarm.start();
 
 /**
  * Utility Endpoints
@@ -372,6 +1872,11 @@ app.get("/health", async function (req, res) {
       dependencies: {
         jiraApi: apiStatus,
       },
+      circuitBreakers: circuitBreaker.getStatuses(),
+      caches: {
+        jiraUsers: directClient.getUserCacheStats(),
+      },
+      backgroundRefresh: prewarm.getStatus(),
       requests: {
         total: appState.requests.total,
         success: appState.requests.success,
@@ -454,9 +1959,20 @@ app.use((req, res) => {
 
 /**
  * Global error handler
- * Catches any unhandled errors in route handlers
+ * Catches any unhandled errors in route handlers. Request body errors
+ * (malformed JSON, body too large) are the client's and keep their 4xx status.
  */
 app.use((err, req, res, next) => {
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return res.sendError(
+      err.status,
+      err.type === "entity.parse.failed"
+        ? `Malformed JSON body: ${err.message}`
+        : err.message,
+      { path: req.url }
+    );
+  }
+
   const errorId = `500-${Date.now()}-${Math.random()
     .toString(36)
     .substring(2, 7)}`;
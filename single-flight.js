@@ -0,0 +1,55 @@
+/**
+ * single-flight.js
+ *
+ * Coalesces concurrent identical operations: while a call for a key is in
+ * flight, later callers with the same key wait for it instead of starting
+ * their own, and every caller gets the same result or error.
+ */
+
+import dashboard from "./console-dashboard.js";
+
+/**
+ * Create a single-flight group
+ *
+ * @param {string} name - Name of the operation (for logs)
+ * @returns {{run: Function, size: Function}} Group with run(key, requestId, fn)
+ *          and size()
+ */
+function create(name) {
+  const inFlight = new Map();
+
+  /**
+   * Run `fn` unless a call with the same key is already in flight
+   *
+   * @param {string} key - Identity of the operation
+   * @param {string} requestId - Request ID for logging
+   * @param {function(): Promise<*>} fn - Operation to run
+   * @returns {Promise<*>} Result shared by every caller with this key
+   */
+  function run(key, requestId, fn) {
+    const pending = inFlight.get(key);
+    if (pending) {
+      dashboard.logger.info(`Joining in-flight ${name} lookup`, {
+        requestId,
+        key,
+        leader: pending.requestId,
+      });
+      return pending.promise;
+    }
+
+    const promise = Promise.resolve()
+      .then(fn)
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, { promise, requestId });
+    return promise;
+  }
+
+  return {
+    run,
+    size: () => inFlight.size,
+  };
+}
+
+export default {
+  create,
+};
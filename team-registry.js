@@ -0,0 +1,479 @@
+/**
+ * team-registry.js
+ *
+ * Loads the team registry file that maps endpoint slugs to Jira schedules,
+ * display names and per-team options. The registry is re-read whenever the
+ * file changes on disk or the process receives SIGHUP, and registered
+ * listeners are notified so routes, dashboard counters and tooling stay in
+ * sync without a restart.
+ */
+
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+import config from "./config.js";
+import businessHours from "./business-hours.js";
+import dashboard from "./console-dashboard.js";
+import directClient from "./direct-client.js";
+import onCallProviders from "./oncall-providers.js";
+
+// Endpoint slugs become Express paths, so keep them URL-safe
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+// Top-level routes of server.js; a team slug must not shadow them
+const RESERVED_SLUGS = new Set([
+  "admin",
+  "health",
+  "oncall",
+  "overrides",
+  "stats",
+  "teams",
+  "test",
+  "webhooks",
+]);
+
+// Debounce window for file system events (editors often emit several per save)
+const RELOAD_DEBOUNCE_MS = 250;
+
+// Current registry state
+const state = {
+  filePath: path.resolve(config.teams.registryFile),
+  document: { teams: {} },
+  lastText: null,
+  teams: new Map(),
+  loadedAt: null,
+};
+
+const listeners = [];
+let watcher = null;
+let reloadTimer = null;
+
+/**
+ * Parse registry file contents as YAML or JSON based on the file extension
+ *
+ * @param {string} filePath - Path of the registry file
+ * @param {string} text - Raw file contents
+ * @returns {Object} Parsed registry document
+ */
+function parseRegistry(filePath, text) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === ".yaml" || ext === ".yml") {
+    return YAML.parse(text) || {};
+  }
+  return JSON.parse(text);
+}
+
+/**
+ * Serialize a registry document in the format matching the file extension
+ *
+ * @param {string} filePath - Path of the registry file
+ * @param {Object} document - Registry document
+ * @returns {string} File contents
+ */
+function serializeRegistry(filePath, document) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === ".yaml" || ext === ".yml") {
+    return YAML.stringify(document);
+  }
+  return JSON.stringify(document, null, 2) + "\n";
+}
+
+/**
+ * Validate a team's escalation policy
+ *
+ * @param {string} slug - Endpoint slug (for error messages)
+ * @param {Object} escalation - Raw `escalation` block
+ */
+function validateEscalation(slug, escalation) {
+  if (typeof escalation !== "object" || Array.isArray(escalation)) {
+    throw new Error(`Team "${slug}" escalation must be an object`);
+  }
+
+  const { teamLead, huntGroup } = escalation;
+  if (teamLead !== undefined && teamLead !== null) {
+    const lead = typeof teamLead === "string" ? { email: teamLead } : teamLead;
+    if (typeof lead !== "object" || (!lead.email && !lead.phoneNumber)) {
+      throw new Error(
+        `Team "${slug}" escalation.teamLead needs an "email" or "phoneNumber"`
+      );
+    }
+    if (
+      lead.phoneNumber &&
+      !directClient.isValidPhoneNumber(lead.phoneNumber)
+    ) {
+      throw new Error(
+        `Team "${slug}" escalation.teamLead has invalid phoneNumber "${lead.phoneNumber}"`
+      );
+    }
+  }
+
+  if (
+    huntGroup !== undefined &&
+    huntGroup !== null &&
+    !directClient.isValidPhoneNumber(huntGroup)
+  ) {
+    throw new Error(
+      `Team "${slug}" escalation.huntGroup "${huntGroup}" is not a valid phone number`
+    );
+  }
+}
+
+/**
+ * Validate and normalize a single team entry
+ *
+ * @param {string} endpoint - Endpoint slug (e.g. "helpdesk")
+ * @param {Object} entry - Raw entry from the registry file
+ * @returns {Object} Normalized team object
+ */
+function normalizeTeam(endpoint, entry) {
+  const slug = String(endpoint).trim().toLowerCase();
+  if (!SLUG_PATTERN.test(slug)) {
+    throw new Error(
+      `Invalid endpoint slug "${endpoint}" (use lowercase letters, digits and dashes)`
+    );
+  }
+  if (RESERVED_SLUGS.has(slug)) {
+    throw new Error(
+      `Endpoint slug "${slug}" is reserved (${[...RESERVED_SLUGS].join(
+        ", "
+      )} are used by the service itself)`
+    );
+  }
+
+  if (!entry || typeof entry !== "object") {
+    throw new Error(`Team "${slug}" must be an object`);
+  }
+
+  if (!entry.schedule && !entry.scheduleId) {
+    throw new Error(`Team "${slug}" needs a "schedule" name or "scheduleId"`);
+  }
+
+  if (entry.timezone && !businessHours.isValidTimeZone(entry.timezone)) {
+    throw new Error(`Team "${slug}" has unknown timezone "${entry.timezone}"`);
+  }
+
+  if (entry.businessHours) {
+    businessHours.validate(slug, entry.businessHours);
+  }
+
+  if (entry.escalation) {
+    validateEscalation(slug, entry.escalation);
+  }
+
+  if (
+    entry.fallbackNumber !== undefined &&
+    entry.fallbackNumber !== null &&
+    !directClient.isValidPhoneNumber(entry.fallbackNumber)
+  ) {
+    throw new Error(
+      `Team "${slug}" fallbackNumber "${entry.fallbackNumber}" is not a valid phone number`
+    );
+  }
+
+  if (entry.ccxMode !== undefined && typeof entry.ccxMode !== "boolean") {
+    throw new Error(`Team "${slug}" ccxMode must be true or false`);
+  }
+
+  const provider = entry.provider
+    ? String(entry.provider).trim().toLowerCase()
+    : config.oncall.provider;
+  if (!onCallProviders.has(provider)) {
+    throw new Error(
+      `Team "${slug}" has unknown provider "${provider}" (use ${onCallProviders
+        .names()
+        .join(" or ")})`
+    );
+  }
+
+  return {
+    ...entry,
+    endpoint: slug,
+    schedule: entry.schedule || null,
+    scheduleId: entry.scheduleId || null,
+    provider,
+    displayName:
+      entry.displayName || slug.replace(/\b\w/g, (char) => char.toUpperCase()),
+  };
+}
+
+/**
+ * Validate a registry document and build the team map
+ *
+ * @param {Object} document - Parsed registry document
+ * @returns {Map<string, Object>} Teams keyed by endpoint slug
+ */
+function buildTeams(document) {
+  if (!document?.teams || typeof document.teams !== "object") {
+    throw new Error(`Registry has no "teams" section`);
+  }
+
+  const teams = new Map();
+  Object.entries(document.teams).forEach(([endpoint, entry]) => {
+    const team = normalizeTeam(endpoint, entry);
+    if (teams.has(team.endpoint)) {
+      throw new Error(`Duplicate endpoint slug "${team.endpoint}"`);
+    }
+    teams.set(team.endpoint, team);
+  });
+
+  return teams;
+}
+
+/**
+ * Read and validate the registry file
+ *
+ * @param {string} [filePath] - Registry file path (defaults to configured file)
+ * @returns {Map<string, Object>} Teams keyed by endpoint slug
+ */
+function readRegistryFile(filePath = state.filePath) {
+  const text = fs.readFileSync(filePath, "utf8");
+  return buildTeams(parseRegistry(filePath, text));
+}
+
+/**
+ * Load (or reload) the registry and notify listeners
+ *
+ * A registry that fails to parse or validate is rejected and the previously
+ * loaded teams stay active, so a bad edit never takes routes offline.
+ *
+ * @param {string} [reason="startup"] - Why the registry is being loaded (for logs)
+ * @returns {boolean} True if the registry was loaded successfully
+ */
+function load(reason = "startup") {
+  try {
+    const text = fs.readFileSync(state.filePath, "utf8");
+
+    // Our own writes also trigger the watcher; nothing to do if unchanged
+    if (reason === "file changed" && text === state.lastText) {
+      return true;
+    }
+
+    const document = parseRegistry(state.filePath, text);
+    const teams = buildTeams(document);
+    state.document = document;
+    state.lastText = text;
+    state.teams = teams;
+    state.loadedAt = new Date();
+
+    dashboard.logger.success(`Team registry loaded (${reason})`, {
+      file: state.filePath,
+      teams: [...teams.keys()],
+    });
+
+    notifyListeners();
+    return true;
+  } catch (error) {
+    dashboard.logger.error(`Failed to load team registry (${reason})`, {
+      file: state.filePath,
+      error: error.message,
+      keptTeams: [...state.teams.keys()],
+    });
+    return false;
+  }
+}
+
+/**
+ * Validate and write a registry document, then apply it
+ * The file is written to a temporary path and renamed into place so a
+ * concurrent reader never sees a partial file.
+ *
+ * @param {Object} document - Registry document to save
+ * @param {string} reason - Why the registry changed (for logs)
+ */
+function writeDocument(document, reason) {
+  const teams = buildTeams(document);
+  const text = serializeRegistry(state.filePath, document);
+  const tempPath = `${state.filePath}.${process.pid}.tmp`;
+
+  fs.writeFileSync(tempPath, text, "utf8");
+  fs.renameSync(tempPath, state.filePath);
+
+  state.document = document;
+  state.lastText = text;
+  state.teams = teams;
+  state.loadedAt = new Date();
+
+  dashboard.logger.success(`Team registry saved (${reason})`, {
+    file: state.filePath,
+    teams: [...teams.keys()],
+  });
+
+  notifyListeners();
+}
+
+/**
+ * Find the registry file key of a team
+ * Keys in the file may differ from the slug in case or surrounding spaces.
+ *
+ * @param {string} slug - Normalized endpoint slug
+ * @returns {string|null} Key under `teams`, or null if there is none
+ */
+function findDocumentKey(slug) {
+  return (
+    Object.keys(state.document.teams || {}).find(
+      (key) => key.trim().toLowerCase() === slug
+    ) ?? null
+  );
+}
+
+/**
+ * Create or replace a team entry and save the registry to disk
+ *
+ * @param {string} endpoint - Endpoint slug
+ * @param {Object} entry - Team options (schedule, scheduleId, displayName, ...)
+ * @returns {Object} Normalized team object
+ */
+function saveTeam(endpoint, entry) {
+  // The slug comes from the key, so the body's copy is not stored
+  const options = { ...entry };
+  delete options.endpoint;
+  const team = normalizeTeam(endpoint, options);
+
+  // Replace an existing entry in place, whatever the case of its key
+  const key = findDocumentKey(team.endpoint);
+  const teams = Object.fromEntries(
+    Object.entries(state.document.teams || {}).map(([name, value]) =>
+      name === key ? [team.endpoint, options] : [name, value]
+    )
+  );
+  teams[team.endpoint] = options;
+
+  writeDocument({ ...state.document, teams }, `team ${team.endpoint} saved`);
+
+  return getTeam(team.endpoint);
+}
+
+/**
+ * Remove a team entry and save the registry to disk
+ *
+ * @param {string} endpoint - Endpoint slug
+ * @returns {boolean} True if the team existed and was removed
+ */
+function removeTeam(endpoint) {
+  const slug = String(endpoint).trim().toLowerCase();
+  const key = findDocumentKey(slug);
+  if (!state.teams.has(slug) || key === null) {
+    return false;
+  }
+
+  const teams = { ...state.document.teams };
+  delete teams[key];
+  writeDocument({ ...state.document, teams }, `team ${slug} removed`);
+
+  return true;
+}
+
+/**
+ * Call every change listener with the current team list
+ */
+function notifyListeners() {
+  const teams = getTeams();
+  listeners.forEach((listener) => {
+    try {
+      listener(teams);
+    } catch (error) {
+      dashboard.logger.error(`Team registry listener failed`, {
+        error: error.message,
+        stack: error.stack,
+      });
+    }
+  });
+}
+
+/**
+ * Register a listener for registry changes
+ * The listener is called immediately if the registry is already loaded.
+ *
+ * @param {function(Array<Object>)} listener - Receives the current team list
+ */
+function onChange(listener) {
+  listeners.push(listener);
+  if (state.loadedAt) {
+    listener(getTeams());
+  }
+}
+
+/**
+ * Schedule a debounced reload after a file system event
+ */
+function scheduleReload() {
+  clearTimeout(reloadTimer);
+  reloadTimer = setTimeout(() => load("file changed"), RELOAD_DEBOUNCE_MS);
+}
+
+/**
+ * Start watching the registry file and listen for SIGHUP
+ *
+ * The containing directory is watched rather than the file itself because
+ * many editors save by replacing the file, which ends a per-file watch.
+ */
+function watch() {
+  if (watcher) return;
+
+  const directory = path.dirname(state.filePath);
+  const fileName = path.basename(state.filePath);
+
+  try {
+    watcher = fs.watch(directory, (eventType, changedFile) => {
+      if (changedFile === fileName) {
+        scheduleReload();
+      }
+    });
+    watcher.unref();
+    dashboard.logger.info(`Watching team registry for changes`, {
+      file: state.filePath,
+    });
+  } catch (error) {
+    dashboard.logger.warning(`Unable to watch team registry file`, {
+      file: state.filePath,
+      error: error.message,
+    });
+  }
+
+  process.on("SIGHUP", () => load("SIGHUP"));
+}
+
+/**
+ * Stop watching the registry file
+ */
+function close() {
+  clearTimeout(reloadTimer);
+  if (watcher) {
+    watcher.close();
+    watcher = null;
+  }
+}
+
+/**
+ * Get all registered teams
+ *
+ * @returns {Array<Object>} Team objects in registry order
+ */
+function getTeams() {
+  return [...state.teams.values()];
+}
+
+/**
+ * Get a single team by endpoint slug
+ *
+ * @param {string} endpoint - Endpoint slug
+ * @returns {Object|null} Team object or null if not registered
+ */
+function getTeam(endpoint) {
+  return state.teams.get(String(endpoint).toLowerCase()) || null;
+}
+
+export default {
+  load,
+  watch,
+  close,
+  onChange,
+  getTeams,
+  getTeam,
+  saveTeam,
+  removeTeam,
+  normalizeTeam,
+  readRegistryFile,
+  getFilePath: () => state.filePath,
+  getLoadedAt: () => state.loadedAt,
+};
@@ -3,8 +3,10 @@
  * A simple script to fetch and list all on-call schedules from Jira
  */
 
-import fetch from "node-fetch";
 import dotenv from "dotenv";
+import jiraClient from "./jira-client.js";
+import teamRegistry from "./team-registry.js";
+import scheduleMatcher from "./schedule-matcher.js";
 
 // Load environment variables
 dotenv.config();
@@ -16,18 +18,25 @@ const JIRA_CLOUD_ID = process.env.JIRA_CLOUD_ID;
 const JIRA_HOST_URL = process.env.JIRA_HOST_URL;
 const JIRA_BASE_PATH = process.env.JIRA_BASE_PATH;
 
+// Credentials may also come from files or OAuth (see jira-credentials.js)
+const JIRA_AUTH_MODE = (process.env.JIRA_AUTH_MODE || "basic").toLowerCase();
+const hasCredentials =
+  JIRA_AUTH_MODE === "oauth"
+    ? !!process.env.JIRA_OAUTH_CLIENT_ID
+    : !!(JIRA_USERNAME || process.env.JIRA_USERNAME_FILE) &&
+      !!(JIRA_API_TOKEN || process.env.JIRA_API_TOKEN_FILE);
+
 // Verify we have required configuration
-if (
-  !JIRA_USERNAME ||
-  !JIRA_API_TOKEN ||
-  !JIRA_CLOUD_ID ||
-  !JIRA_HOST_URL ||
-  !JIRA_BASE_PATH
-) {
+if (!hasCredentials || !JIRA_CLOUD_ID || !JIRA_HOST_URL || !JIRA_BASE_PATH) {
   console.error("ERROR: Missing required Jira API configuration variables");
   console.error("Please ensure these environment variables are set:");
-  console.error("- JIRA_USERNAME");
-  console.error("- JIRA_API_TOKEN");
+  if (JIRA_AUTH_MODE === "oauth") {
+    console.error("- JIRA_OAUTH_CLIENT_ID");
+    console.error("- JIRA_OAUTH_CLIENT_SECRET (or JIRA_OAUTH_CLIENT_SECRET_FILE)");
+  } else {
+    console.error("- JIRA_USERNAME (or JIRA_USERNAME_FILE)");
+    console.error("- JIRA_API_TOKEN (or JIRA_API_TOKEN_FILE)");
+  }
   console.error("- JIRA_CLOUD_ID");
   console.error("- JIRA_HOST_URL");
   console.error("- JIRA_BASE_PATH");
@@ -40,35 +49,19 @@ if (
 async function fetchSchedules() {
   console.log("Fetching schedules from Jira API...");
 
-  // Build the URL and auth header
-  const url = `${JIRA_HOST_URL}/${JIRA_BASE_PATH}/${JIRA_CLOUD_ID}/v1/schedules`;
-  const auth =
-    "Basic " +
-    Buffer.from(`${JIRA_USERNAME}:${JIRA_API_TOKEN}`).toString("base64");
+  // Same client (timeouts, retries, rate limiting) as the server
+  const url = jiraClient.opsUrl("v1/schedules");
 
   console.log(`API URL: ${url}`);
 
   try {
-    // Make the request
-    const response = await fetch(url, {
-      method: "GET",
-      headers: {
-        Authorization: auth,
-        Accept: "application/json",
-      },
+    const { values, pages } = await jiraClient.getAllPages(url, {
+      requestId: "test-jira",
+      label: "Jira schedules request",
     });
 
-    if (!response.ok) {
-      throw new Error(`HTTP error ${response.status}: ${response.statusText}`);
-    }
-
-    const data = await response.json();
-
-    if (!data.values || !Array.isArray(data.values)) {
-      throw new Error("Invalid response format from Jira API");
-    }
-
-    return data.values;
+    console.log(`Read ${values.length} schedules in ${pages} page(s)`);
+    return values;
   } catch (error) {
     const sanitizedMessage = error.message.replace(/[\r\n]/g, " ");
     console.error("Error fetching schedules from Jira:", sanitizedMessage);
@@ -107,30 +100,19 @@ async function main() {
     // Help with matching to endpoints
     console.log("\n=== SUGGESTED MAPPING ===");
 
-    // Define your endpoints
-    const endpoints = [
-      "helpdesk",
-      "network",
-      "ibmi",
-      "windows",
-      "sql",
-      "sharepoint",
-    ];
-
-    endpoints.forEach((endpoint) => {
-      // Try to find potential matches
-      const normalized = endpoint.toLowerCase();
-      const potentialMatches = schedules.filter(
-        (s) =>
-          s.name.toLowerCase().includes(normalized) ||
-          normalized.includes(s.name.toLowerCase())
-      );
+    // Endpoints come from the team registry file
+    const teams = teamRegistry.readRegistryFile();
+
+    teams.forEach((team, endpoint) => {
+      // Try to find potential matches using the same matcher as the server
+      const names = [endpoint, team.schedule, ...(team.aliases || [])].filter(Boolean);
+      const potentialMatches = scheduleMatcher.rankSchedules(names, schedules);
 
       if (potentialMatches.length > 0) {
         const sanitizedEndpoint = endpoint.replace(/[\r\n]/g, " ").replace(/["']/g, "");
         console.log(`Endpoint "/${sanitizedEndpoint}" might match these schedules:`);
         potentialMatches.forEach((match) => {
-          console.log(`  - "${match.name}"`);
+          console.log(`  - "${match.schedule.name}" (score ${match.score})`);
         });
       } else {
         const sanitizedEndpoint = endpoint.replace(/[\r\n]/g, " ").replace(/["']/g, "");
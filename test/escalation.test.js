@@ -0,0 +1,109 @@
+/**
+ * Escalation tiers (direct-client.js resolveTeamOnCall)
+ *
+ * Uses the file provider with participants that have no email, so the
+ * schedule tiers fail without Jira or SQL and the static tiers answer.
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "url";
+
+process.env.ONCALL_FILE = fileURLToPath(
+  new URL("./fixtures/oncall.yaml", import.meta.url)
+);
+process.env.SQL_DATABASE = "";
+
+const { default: directClient } = await import("../direct-client.js");
+
+/**
+ * Build a file-provider team on the fixture's Ops schedule
+ *
+ * @param {string} endpoint - Endpoint slug (unique per test, as answers are
+ *        shared between concurrent identical lookups)
+ * @param {Object} [escalation] - Escalation policy
+ * @returns {Object} Team entry
+ */
+function opsTeam(endpoint, escalation) {
+  return {
+    endpoint,
+    schedule: "Ops-schedule",
+    provider: "file",
+    displayName: endpoint,
+    escalation,
+  };
+}
+
+test("without escalation only the primary participant is tried", async () => {
+  await assert.rejects(
+    directClient.resolveTeamOnCall(opsTeam("plain"), "test-plain"),
+    (error) => {
+      assert.deepEqual(
+        error.failures.map((failure) => failure.tier),
+        ["primary"]
+      );
+      assert.match(error.message, /No on-call user with email found/);
+      return true;
+    }
+  );
+});
+
+test("escalates through the participants to the team lead", async () => {
+  const result = await directClient.resolveTeamOnCall(
+    opsTeam("lead", {
+      teamLead: { name: "Lee", phoneNumber: "555-123-4567" },
+      huntGroup: "5559990000",
+    }),
+    "test-lead"
+  );
+
+  assert.equal(result.tier, "teamLead");
+  assert.equal(result.phoneNumber, "15551234567");
+  assert.deepEqual(
+    result.failures.map((failure) => failure.tier),
+    ["primary", "participant"]
+  );
+});
+
+test("tries the secondary schedule before the hunt group", async () => {
+  const result = await directClient.resolveTeamOnCall(
+    opsTeam("hunt", {
+      secondarySchedule: "Ops-Backup-schedule",
+      huntGroup: "(555) 999-0000",
+    }),
+    "test-hunt"
+  );
+
+  assert.equal(result.tier, "huntGroup");
+  assert.equal(result.phoneNumber, "15559990000");
+  assert.deepEqual(
+    result.failures.map((failure) => failure.tier),
+    ["primary", "participant", "secondary"]
+  );
+});
+
+test("skips later participants with nextParticipant: false", async () => {
+  const result = await directClient.resolveTeamOnCall(
+    opsTeam("first-only", {
+      nextParticipant: false,
+      huntGroup: "5559990000",
+    }),
+    "test-first-only"
+  );
+
+  assert.equal(result.tier, "huntGroup");
+  assert.deepEqual(
+    result.failures.map((failure) => failure.tier),
+    ["primary"]
+  );
+});
+
+test("fails with every tier's reason when all tiers fail", async () => {
+  await assert.rejects(
+    directClient.resolveTeamOnCall(
+      opsTeam("all-fail", { secondarySchedule: "Ops-Backup-schedule" }),
+      "test-all-fail"
+    ),
+    /All escalation tiers failed for team all-fail: primary: .*secondary: /
+  );
+});
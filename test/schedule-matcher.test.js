@@ -0,0 +1,61 @@
+/**
+ * Schedule matching (schedule-matcher.js)
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import scheduleMatcher from "../schedule-matcher.js";
+
+const schedules = [
+  { id: "s-help", name: "Help-Desk-schedule" },
+  { id: "s-net", name: "Network-schedule" },
+  { id: "s-ibmi", name: "IBM-i-schedule" },
+];
+
+test("normalizes case, punctuation and the schedule suffix", () => {
+  for (const name of ["Help-Desk-schedule", "help desk", "HelpDesk Schedule"]) {
+    assert.equal(scheduleMatcher.normalizeName(name), "helpdesk", name);
+  }
+});
+
+test("matches an exact schedule ID or name", () => {
+  const byId = scheduleMatcher.matchSchedule("s-net", schedules);
+  assert.equal(byId.schedule.id, "s-net");
+  assert.equal(byId.matchType, "exact");
+
+  const byName = scheduleMatcher.matchSchedule("IBM-i-schedule", schedules);
+  assert.equal(byName.schedule.id, "s-ibmi");
+  assert.equal(byName.matchType, "exact");
+});
+
+test("matches a normalized name or alias", () => {
+  const byName = scheduleMatcher.matchSchedule("help desk", schedules);
+  assert.equal(byName.schedule.id, "s-help");
+  assert.equal(byName.matchType, "normalized");
+
+  const byAlias = scheduleMatcher.matchSchedule("servicedesk", schedules, {
+    aliases: ["Help Desk"],
+  });
+  assert.equal(byAlias.schedule.id, "s-help");
+  assert.equal(byAlias.matchType, "normalized");
+});
+
+test("falls back to the closest fuzzy match", () => {
+  const result = scheduleMatcher.matchSchedule("Networking", schedules);
+  assert.equal(result.schedule.id, "s-net");
+  assert.equal(result.matchType, "fuzzy");
+});
+
+test("only suggests the fuzzy match when fuzzy matching is off", () => {
+  const result = scheduleMatcher.matchSchedule("Networking", schedules, {
+    fuzzy: false,
+  });
+  assert.equal(result.schedule, null);
+  assert.equal(result.suggestion.id, "s-net");
+});
+
+test("matches nothing below the threshold", () => {
+  const result = scheduleMatcher.matchSchedule("Payroll", schedules);
+  assert.equal(result.schedule, null);
+  assert.equal(result.suggestion, undefined);
+});
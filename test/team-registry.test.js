@@ -0,0 +1,126 @@
+/**
+ * Registry validation (team-registry.js normalizeTeam)
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+import teamRegistry from "../team-registry.js";
+
+const { normalizeTeam } = teamRegistry;
+
+test("normalizes the slug, provider and display name", () => {
+  const team = normalizeTeam(" Help-Desk ", {
+    schedule: "Help-Desk-schedule",
+    provider: "JSM",
+  });
+
+  assert.equal(team.endpoint, "help-desk");
+  assert.equal(team.schedule, "Help-Desk-schedule");
+  assert.equal(team.scheduleId, null);
+  assert.equal(team.provider, "jsm");
+  assert.equal(team.displayName, "Help-Desk");
+});
+
+test("rejects invalid and reserved slugs", () => {
+  assert.throws(
+    () => normalizeTeam("help desk", { schedule: "x" }),
+    /Invalid endpoint slug/
+  );
+  for (const slug of ["admin", "oncall", "Webhooks"]) {
+    assert.throws(
+      () => normalizeTeam(slug, { schedule: "x" }),
+      /is reserved/,
+      slug
+    );
+  }
+});
+
+test("requires a schedule name or ID", () => {
+  assert.throws(() => normalizeTeam("ops", {}), /needs a "schedule"/);
+  assert.equal(normalizeTeam("ops", { scheduleId: "abc" }).scheduleId, "abc");
+});
+
+test("rejects unknown timezones and providers", () => {
+  assert.throws(
+    () => normalizeTeam("ops", { schedule: "x", timezone: "Mars/Olympus" }),
+    /unknown timezone/
+  );
+  assert.throws(
+    () => normalizeTeam("ops", { schedule: "x", provider: "pagerduty" }),
+    /unknown provider/
+  );
+});
+
+test("validates escalation numbers", () => {
+  assert.throws(
+    () => normalizeTeam("ops", { schedule: "x", escalation: [] }),
+    /escalation must be an object/
+  );
+  assert.throws(
+    () =>
+      normalizeTeam("ops", {
+        schedule: "x",
+        escalation: { teamLead: { name: "Lead" } },
+      }),
+    /needs an "email" or "phoneNumber"/
+  );
+  assert.throws(
+    () =>
+      normalizeTeam("ops", {
+        schedule: "x",
+        escalation: { teamLead: { phoneNumber: "ext. 12" } },
+      }),
+    /invalid phoneNumber/
+  );
+  assert.throws(
+    () =>
+      normalizeTeam("ops", {
+        schedule: "x",
+        escalation: { huntGroup: "front desk" },
+      }),
+    /huntGroup "front desk" is not a valid phone number/
+  );
+
+  const team = normalizeTeam("ops", {
+    schedule: "x",
+    escalation: { teamLead: "lead@example.com", huntGroup: "(555) 123-4567" },
+  });
+  assert.equal(team.escalation.huntGroup, "(555) 123-4567");
+});
+
+test("validates the CCX fallback number and mode", () => {
+  assert.throws(
+    () => normalizeTeam("ops", { schedule: "x", fallbackNumber: "voicemail" }),
+    /fallbackNumber "voicemail" is not a valid phone number/
+  );
+  assert.throws(
+    () => normalizeTeam("ops", { schedule: "x", ccxMode: "yes" }),
+    /ccxMode must be true or false/
+  );
+
+  const team = normalizeTeam("ops", {
+    schedule: "x",
+    fallbackNumber: "555-000-1111",
+    ccxMode: true,
+  });
+  assert.equal(team.ccxMode, true);
+});
+
+test("validates business hours", () => {
+  const windows = [{ days: ["mon-fri"], start: "08:00", end: "17:00" }];
+
+  assert.throws(
+    () =>
+      normalizeTeam("ops", {
+        schedule: "x",
+        businessHours: { windows, phoneNumber: "desk" },
+      }),
+    /businessHours phoneNumber "desk" is not a valid phone number/
+  );
+  assert.doesNotThrow(() =>
+    normalizeTeam("ops", {
+      schedule: "x",
+      businessHours: { windows, phoneNumber: "15555550100" },
+    })
+  );
+});